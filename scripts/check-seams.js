@@ -0,0 +1,91 @@
+// scripts/check-seams.js
+// Check that neighbouring chunks agree along their shared edges, for every terrain profile and
+// for worlds with profile regions and stamps, without a browser.
+// Usage: node scripts/check-seams.js [profile or world...]
+// Exits with a non-zero status when any seam doesn't match.
+import * as THREE from 'three';
+import { HierarchicalTerrainManager } from '../src/terrain/hierarchical-terrain-manager.js';
+import { TerrainGenerator } from '../src/terrain/terrain-generator.js';
+import { TerrainProfiles } from '../src/terrain/profiles.js';
+import { checkChunkSeams, checkLodSeams } from '../src/terrain/tester.js';
+
+const SEED = 42;
+
+// Chunks to check around: the spawn, one across a macro tile border and one far from spawn,
+// each at the given mesh resolution. Checks with a `neighbourResolution` generate the
+// neighbours at that resolution, as where two LOD rings meet.
+const CHECKS = [
+  { chunkX: 0, chunkZ: 0, resolution: 64 },
+  { chunkX: 8, chunkZ: -9, resolution: 32 },
+  { chunkX: 40, chunkZ: 3, resolution: 32 },
+  { chunkX: 0, chunkZ: 0, resolution: 64, neighbourResolution: 32 }
+];
+
+// Worlds beyond the plain profiles, set up on a fresh manager
+const WORLDS = {
+  // Bands of hills, appalachian and rocky terrain, checked where the last two blend, with a
+  // badlands region placed across the edge of the checked chunk
+  regions: {
+    setup: manager => {
+      manager.regions = {
+        ...manager.regions,
+        enabled: true,
+        placed: [{ profile: 'badlands', x: 4224, z: 0, radius: 200, falloff: 300 }]
+      };
+    },
+    checks: [
+      { chunkX: 16, chunkZ: 0, resolution: 64 },
+      { chunkX: 16, chunkZ: 0, resolution: 64, neighbourResolution: 32 }
+    ]
+  },
+  
+  // A canyon running across chunk edges and a volcano on the corner the chunks share
+  stamps: {
+    setup: manager => {
+      manager.stamps = {
+        ...manager.stamps,
+        placed: [
+          { id: 1, type: 'canyon', points: [{ x: -300, z: -60 }, { x: 150, z: 40 }, { x: 400, z: 200 }] },
+          { id: 2, type: 'volcano', x: 128, z: 128, radius: 200, height: 60 }
+        ]
+      };
+    },
+    checks: [
+      { chunkX: 0, chunkZ: 0, resolution: 64 },
+      { chunkX: 1, chunkZ: 0, resolution: 64, neighbourResolution: 32 }
+    ]
+  }
+};
+
+const allWorlds = [...Object.keys(TerrainProfiles), ...Object.keys(WORLDS)];
+const worldNames = process.argv.length > 2 ? process.argv.slice(2) : allWorlds;
+let failures = 0;
+
+for (const worldName of worldNames) {
+  const manager = new HierarchicalTerrainManager(new THREE.Scene(), SEED);
+  const world = WORLDS[worldName];
+  if (world) {
+    world.setup(manager);
+  } else {
+    manager.activeProfile = worldName;
+  }
+  
+  // The same settings the manager hands its workers
+  const generator = new TerrainGenerator(manager.getGeneratorSettings());
+  generator.generateMacroTerrain();
+  
+  for (const { chunkX, chunkZ, resolution, neighbourResolution } of world ? world.checks : CHECKS) {
+    const report = neighbourResolution ?
+      checkLodSeams(generator, chunkX, chunkZ, resolution, neighbourResolution) :
+      checkChunkSeams(generator, chunkX, chunkZ, resolution);
+    const lod = neighbourResolution ? ` against ${neighbourResolution}` : '';
+    console.log(`${report.passed ? 'ok  ' : 'FAIL'} ${worldName} chunk ${chunkX},${chunkZ} at ${resolution}${lod}`);
+    if (!report.passed) {
+      console.table(report.results);
+      failures++;
+    }
+  }
+}
+
+console.log(failures ? `${failures} seam check(s) failed` : 'All chunk seams match');
+process.exit(failures ? 1 : 0);
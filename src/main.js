@@ -2,24 +2,31 @@
 import * as THREE from 'three';
 
 import { createScene, resizeHandler } from './scene.js';
-import { initPlayer, updatePlayer, teleportPlayer } from './player.js';
+import { initPlayer, updatePlayer, teleportPlayer, setPlayerRotation } from './player.js';
 import { HierarchicalTerrainManager } from './terrain/hierarchical-terrain-manager.js';
 import { WaypointSystem } from './waypoint-system.js';
-import { TerrainProfiles, defaultProfile } from './terrain/profiles.js';
-import { launchTerrainComparison } from './terrain/tester.js';
+import {
+  TerrainProfiles, defaultProfile, registerProfile, updateProfile, removeProfile,
+  exportProfile, importProfile, onProfileChange
+} from './terrain/profiles.js';
+import { loadCustomProfiles, saveCustomProfiles, downloadProfile, importProfileFiles } from './terrain/profile-storage.js';
+import { launchTerrainComparison, checkChunkSeams } from './terrain/tester.js';
+import { randomSeed } from './utils/random.js';
+import { createShareLink, parseShareLink } from './share-link.js';
 
 // State tracking
 let lastTime = 0;
 let deltaTime = 0;
 let fps = 0;
 let currentProfile = defaultProfile;
+const REGIONS_PROFILE = 'regions'; // Selector value for a world of several blended profiles
 let terrainManager, player, waypointSystem;
 
 // Scene elements
 let scene, camera, renderer;
 
 // DOM elements
-let fpsDisplay, positionDisplay, elevationDisplay, staminaBar;
+let fpsDisplay, positionDisplay, elevationDisplay, seedDisplay, staminaBar;
 let chunkInfoDisplay, waypointDistanceDisplay, waypointProgressBar;
 
 // Initialize the application
@@ -41,9 +48,23 @@ async function init() {
   fpsDisplay = document.getElementById('fps');
   positionDisplay = document.getElementById('position');
   elevationDisplay = document.getElementById('elevation');
+  seedDisplay = document.getElementById('seed');
   staminaBar = document.getElementById('stamina-bar');
   const profileSelect = document.getElementById('profile-select');
   const compareButton = document.getElementById('compare-profiles');
+  const exportButton = document.getElementById('export-profile');
+  
+  // Custom profiles saved in earlier sessions, kept saved as they change
+  loadCustomProfiles();
+  onProfileChange(handleProfileChange);
+  
+  // Restore world state from a shared link, if any
+  const sharedState = parseShareLink();
+  if (sharedState.profile && (Object.hasOwn(TerrainProfiles, sharedState.profile) || sharedState.profile === REGIONS_PROFILE)) {
+    currentProfile = sharedState.profile;
+  }
+  const startX = sharedState.x ?? 0;
+  const startZ = sharedState.z ?? 0;
   
   // Create chunk info display
   chunkInfoDisplay = document.createElement('div');
@@ -57,19 +78,22 @@ async function init() {
   chunkInfoDisplay.style.fontFamily = 'monospace';
   chunkInfoDisplay.style.borderRadius = '5px';
   document.body.appendChild(chunkInfoDisplay);
-
+  
   // Waypoint tracking elements
   waypointDistanceDisplay = document.getElementById('waypoint-distance');
   waypointProgressBar = document.getElementById('waypoint-progress-bar');
-
+  
   updateLoadingProgress(10, "Creating scene...");
-
+  
   // Set up UI controls
   if (profileSelect) setupProfileSelector(profileSelect);
   if (compareButton) {
     compareButton.addEventListener('click', launchTerrainComparison);
   }
-
+  if (exportButton) {
+    exportButton.addEventListener('click', exportCurrentProfile);
+  }
+  
   // Create scene - store references globally
   const sceneData = createScene();
   scene = sceneData.scene;
@@ -81,9 +105,18 @@ async function init() {
   
   updateLoadingProgress(30, "Generating macro terrain...");
   
-  // Initialize hierarchical terrain manager
-  terrainManager = new HierarchicalTerrainManager(scene);
-  await terrainManager.initialize(currentProfile);
+  // Initialize hierarchical terrain manager, using the shared seed when given
+  terrainManager = new HierarchicalTerrainManager(scene, sharedState.seed || randomSeed());
+  if (currentProfile === REGIONS_PROFILE) {
+    terrainManager.regions.enabled = true;
+    await terrainManager.initialize(defaultProfile, startX, startZ);
+  } else {
+    await terrainManager.initialize(currentProfile, startX, startZ);
+  }
+  
+  if (seedDisplay) {
+    seedDisplay.textContent = `Seed: ${terrainManager.seed}`;
+  }
   
   updateLoadingProgress(80, "Setting up player...");
   
@@ -91,24 +124,43 @@ async function init() {
   window.terrain = {
     getHeightAt: (x, z) => terrainManager.getHeightAt(x, z),
     isRidge: (x, z, threshold) => terrainManager.isRidge(x, z, threshold),
+    getBiomeAt: (x, z) => terrainManager.getBiomeAt(x, z),
+    getProfileAt: (x, z) => terrainManager.getProfileAt(x, z),
+    getSurfaceTypeAt: (x, z) => terrainManager.getSurfaceTypeAt(x, z),
+    getSnowDepthAt: (x, z) => terrainManager.getSnowDepthAt(x, z),
+    getStampsNear: (x, z, radius) => terrainManager.getStampsNear(x, z, radius),
+    // Landform stamps can be placed from the console, e.g. addStamp({ type: 'volcano', x, z })
+    addStamp: options => terrainManager.addStamp(options),
+    removeStamp: id => terrainManager.removeStamp(id),
+    clearStamps: () => terrainManager.clearStamps(),
     profile: currentProfile
   };
   
+  // Profile registry, for trying out profile variants from the console
+  window.terrainProfiles = { registerProfile, updateProfile, removeProfile, exportProfile, importProfile };
+  
   // Initialize player
   player = initPlayer(camera, window.terrain);
   player.camera = camera;
   
   // Start at elevated position for better view
-  const startX = 0, startZ = 0;
   const heightAtStart = terrainManager.getHeightAt(startX, startZ);
   player.position.set(startX, heightAtStart + player.height + 10, startZ);
   camera.position.copy(player.position);
   
+  if (sharedState.yaw !== null || sharedState.pitch !== null) {
+    setPlayerRotation(player, sharedState.pitch ?? 0, sharedState.yaw ?? 0);
+  }
+  
   updateLoadingProgress(90, "Creating waypoints...");
   
   // Create waypoint system - pass terrain interface instead of direct terrain
-  waypointSystem = new WaypointSystem(scene, window.terrain);
-  waypointSystem.generateWaypoints(8, player.position);
+  waypointSystem = new WaypointSystem(scene, window.terrain, terrainManager.seed);
+  if (sharedState.route) {
+    waypointSystem.setRoute(sharedState.route, sharedState.routeIndex);
+  } else {
+    waypointSystem.generateWaypoints(8, player.position);
+  }
   
   // Set up keyboard shortcuts
   setupKeyboardShortcuts();
@@ -157,7 +209,11 @@ async function changeTerrainProfile(profileName) {
   
   // Change terrain profile
   currentProfile = profileName;
-  await terrainManager.changeProfile(profileName);
+  if (profileName === REGIONS_PROFILE) {
+    await terrainManager.setProfileRegions({ enabled: true });
+  } else {
+    await terrainManager.changeProfile(profileName);
+  }
   
   // Update terrain reference
   window.terrain.profile = currentProfile;
@@ -184,19 +240,88 @@ async function changeTerrainProfile(profileName) {
 
 // Set up profile selector dropdown
 function setupProfileSelector(selectElement) {
+  populateProfileSelector(selectElement);
+  
+  selectElement.addEventListener('change', (e) => {
+    changeTerrainProfile(e.target.value);
+  });
+  
+  // Profile files dropped on the selector are imported, and the last one is switched to
+  selectElement.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  });
+  selectElement.addEventListener('drop', async (e) => {
+    e.preventDefault();
+    const { imported, failed } = await importProfileFiles([...e.dataTransfer.files]);
+    
+    for (const { file, error } of failed) {
+      console.warn(`Could not import terrain profile ${file}: ${error}`);
+    }
+    if (failed.length > 0) {
+      showNotification(`Could not import ${failed.map(({ file }) => file).join(', ')}`);
+    }
+    
+    const lastImported = imported[imported.length - 1];
+    if (lastImported && lastImported !== currentProfile) {
+      selectElement.value = lastImported;
+      changeTerrainProfile(lastImported);
+    }
+  });
+}
+
+// Fill the profile selector with every registered profile
+function populateProfileSelector(selectElement) {
   selectElement.innerHTML = '';
   
   for (const [key, profile] of Object.entries(TerrainProfiles)) {
     const option = document.createElement('option');
     option.value = key;
     option.textContent = profile.name;
-    option.selected = (key === defaultProfile);
+    option.selected = (key === currentProfile);
     selectElement.appendChild(option);
   }
   
-  selectElement.addEventListener('change', (e) => {
-    changeTerrainProfile(e.target.value);
-  });
+  // Several profiles in one world, blending from one region into the next
+  const regionsOption = document.createElement('option');
+  regionsOption.value = REGIONS_PROFILE;
+  regionsOption.textContent = 'Mixed Regions';
+  regionsOption.selected = (currentProfile === REGIONS_PROFILE);
+  selectElement.appendChild(regionsOption);
+}
+
+// Save custom profiles whenever they change, and rebuild the world if a profile it uses changed
+function handleProfileChange(key, change) {
+  saveCustomProfiles();
+  
+  const profileSelect = document.getElementById('profile-select');
+  if (profileSelect) populateProfileSelector(profileSelect);
+  
+  if (!terrainManager || change === 'register') return;
+  if (key === currentProfile) {
+    changeTerrainProfile(change === 'remove' ? defaultProfile : key);
+    return;
+  }
+  
+  // Mixed Regions drops a removed profile, falling back to the default if it had no other
+  const regions = terrainManager.regions;
+  const usedByRegions = regions.profiles.includes(key) || regions.placed.some(region => region.profile === key);
+  if (currentProfile !== REGIONS_PROFILE || !usedByRegions) return;
+  if (change === 'remove') {
+    const profiles = regions.profiles.filter(name => name !== key);
+    regions.profiles = profiles.length > 0 ? profiles : [defaultProfile];
+    regions.placed = regions.placed.filter(region => region.profile !== key);
+  }
+  changeTerrainProfile(REGIONS_PROFILE);
+}
+
+// Download the current profile as a JSON file that can be edited and dropped back in
+function exportCurrentProfile() {
+  if (currentProfile === REGIONS_PROFILE) {
+    showNotification('Pick a single profile to export');
+    return;
+  }
+  downloadProfile(currentProfile);
 }
 
 // Add extended controls for the chunk system
@@ -218,7 +343,7 @@ function addExtendedControls() {
   viewDistanceSlider.type = 'range';
   viewDistanceSlider.id = 'view-distance';
   viewDistanceSlider.min = '1';
-  viewDistanceSlider.max = '6';
+  viewDistanceSlider.max = String(terrainManager.maxViewDistance);
   viewDistanceSlider.value = terrainManager.viewDistance;
   viewDistanceSlider.style.width = '100%';
   viewDistanceSlider.style.marginTop = '5px';
@@ -250,12 +375,46 @@ function addExtendedControls() {
     findAndTeleportToFlatArea();
   });
   
+  // Copy link button
+  const copyLinkButton = document.createElement('button');
+  copyLinkButton.textContent = 'Copy Link to This Spot';
+  copyLinkButton.className = 'ui-button';
+  copyLinkButton.style.marginTop = '10px';
+  
+  copyLinkButton.addEventListener('click', () => {
+    copyLinkToCurrentSpot();
+  });
+  
+  // Seam check button
+  const seamCheckButton = document.createElement('button');
+  seamCheckButton.textContent = 'Check Chunk Seams';
+  seamCheckButton.className = 'ui-button';
+  seamCheckButton.style.marginTop = '10px';
+  
+  seamCheckButton.addEventListener('click', () => {
+    runSeamCheck();
+  });
+  
+  // Clear cache button
+  const clearCacheButton = document.createElement('button');
+  clearCacheButton.textContent = 'Clear Terrain Cache';
+  clearCacheButton.className = 'ui-button';
+  clearCacheButton.style.marginTop = '10px';
+  
+  clearCacheButton.addEventListener('click', async () => {
+    await terrainManager.clearChunkCache();
+    showNotification('Terrain cache cleared');
+  });
+  
   // Assemble controls
   controlsDiv.appendChild(viewDistanceLabel);
   controlsDiv.appendChild(viewDistanceValue);
   controlsDiv.appendChild(viewDistanceSlider);
   controlsDiv.appendChild(debugButton);
   controlsDiv.appendChild(teleportButton);
+  controlsDiv.appendChild(copyLinkButton);
+  controlsDiv.appendChild(seamCheckButton);
+  controlsDiv.appendChild(clearCacheButton);
   
   document.body.appendChild(controlsDiv);
 }
@@ -265,8 +424,8 @@ function setupKeyboardShortcuts() {
   document.addEventListener('keydown', (event) => {
     const profileNames = Object.keys(TerrainProfiles);
     
-    // Number keys 1-5 for different profiles
-    if (event.code >= 'Digit1' && event.code <= 'Digit5') {
+    // Number keys 1-7 for the built-in profiles, in the order they're listed
+    if (event.code >= 'Digit1' && event.code <= 'Digit7') {
       const profileIndex = parseInt(event.code.slice(-1)) - 1;
       if (profileIndex >= 0 && profileIndex < profileNames.length) {
         changeTerrainProfile(profileNames[profileIndex]);
@@ -310,8 +469,8 @@ function findAndTeleportToFlatArea() {
       terrainManager.getHeightAt(x, z - 5)
     ];
     
-    // Skip areas with water
-    if (height <= terrainManager.waterLevel + 1) {
+    // Skip areas in or right next to a lake or the sea
+    if (height <= terrainManager.getWaterAt(x, z).surfaceHeight + 1) {
       continue;
     }
     
@@ -332,28 +491,68 @@ function findAndTeleportToFlatArea() {
       }
       
       // Show a brief notification
-      const notification = document.createElement('div');
-      notification.textContent = 'Teleported to new location';
-      notification.style.position = 'fixed';
-      notification.style.top = '50%';
-      notification.style.left = '50%';
-      notification.style.transform = 'translate(-50%, -50%)';
-      notification.style.background = 'rgba(0, 0, 0, 0.7)';
-      notification.style.color = 'white';
-      notification.style.padding = '10px';
-      notification.style.borderRadius = '5px';
-      notification.style.zIndex = '1000';
-      document.body.appendChild(notification);
-      
-      setTimeout(() => {
-        document.body.removeChild(notification);
-      }, 1500);
+      showNotification('Teleported to new location');
       
       break;
     }
   }
 }
 
+// Copy a link that restores the current world, position, heading and route
+async function copyLinkToCurrentSpot() {
+  const link = createShareLink({
+    seed: terrainManager.seed,
+    profile: currentProfile,
+    x: player.position.x,
+    z: player.position.z,
+    yaw: player.rotation.y,
+    pitch: player.rotation.x,
+    route: waypointSystem ? waypointSystem.getRoute() : null,
+    routeIndex: waypointSystem ? waypointSystem.currentWaypointIndex : 0
+  });
+  
+  try {
+    await navigator.clipboard.writeText(link);
+    showNotification('Link copied to clipboard');
+  } catch (error) {
+    // Clipboard access can be denied, so let the user copy it by hand
+    window.prompt('Copy this link:', link);
+  }
+}
+
+// Compare the edges of the current chunk with its neighbours. The chunks are generated on
+// this thread, so they are checked at a low resolution; `npm test` checks every
+// profile, LOD borders, profile regions and stamps.
+function runSeamCheck() {
+  if (!terrainManager.generator) return;
+  
+  const { x, z } = terrainManager.currentChunk;
+  const report = checkChunkSeams(terrainManager.generator, x, z, 64);
+  console.table(report.results);
+  
+  showNotification(report.passed ? 'Chunk seams match' : 'Chunk seam mismatch - see console');
+}
+
+// Show a brief notification in the middle of the screen
+function showNotification(message) {
+  const notification = document.createElement('div');
+  notification.textContent = message;
+  notification.style.position = 'fixed';
+  notification.style.top = '50%';
+  notification.style.left = '50%';
+  notification.style.transform = 'translate(-50%, -50%)';
+  notification.style.background = 'rgba(0, 0, 0, 0.7)';
+  notification.style.color = 'white';
+  notification.style.padding = '10px';
+  notification.style.borderRadius = '5px';
+  notification.style.zIndex = '1000';
+  document.body.appendChild(notification);
+  
+  setTimeout(() => {
+    document.body.removeChild(notification);
+  }, 1500);
+}
+
 // Animation loop
 function animate(currentTime) {
   requestAnimationFrame(animate);
@@ -378,6 +577,10 @@ function animate(currentTime) {
   
   // Update terrain chunks based on player position
   terrainManager.updatePlayerPosition(player.position.x, player.position.z);
+  terrainManager.updateView(camera);
+  
+  // Animate the water surfaces
+  terrainManager.updateWater(currentTime / 1000);
   
   // Update waypoint system
   if (waypointSystem) {
@@ -404,7 +607,12 @@ function updateUI() {
   // Elevation display
   if (elevationDisplay && window.terrain) {
     const groundHeight = window.terrain.getHeightAt(player.position.x, player.position.z);
-    elevationDisplay.textContent = `Elevation: ${groundHeight !== null ? groundHeight.toFixed(1) : '?'}m | Profile: ${window.terrain.profile}`;
+    const biome = window.terrain.getBiomeAt(player.position.x, player.position.z);
+    const profileName = window.terrain.profile === REGIONS_PROFILE ?
+      window.terrain.getProfileAt(player.position.x, player.position.z).name :
+      window.terrain.profile;
+    elevationDisplay.textContent = `Elevation: ${groundHeight !== null ? groundHeight.toFixed(1) : '?'}m | Profile: ${profileName}` +
+      (biome ? ` | Biome: ${biome.name}` : '');
   }
   
   // Stamina bar
@@ -416,11 +624,29 @@ function updateUI() {
   
   // Chunk info display
   if (chunkInfoDisplay && terrainManager) {
-    const loadedChunks = terrainManager.getLoadedChunks().length;
+    const loadedChunks = terrainManager.getLoadedChunks();
     const currentChunk = terrainManager.currentChunk;
     
+    // Count chunks per level of detail
+    const lodCounts = {};
+    for (const chunk of loadedChunks) {
+      lodCounts[chunk.resolution] = (lodCounts[chunk.resolution] || 0) + 1;
+    }
+    const lodSummary = Object.keys(lodCounts)
+      .sort((a, b) => b - a)
+      .map(resolution => `${resolution}: ${lodCounts[resolution]}`)
+      .join(', ');
+    
+    // Recently unloaded chunks kept in memory
+    const pool = terrainManager.chunkPool.getStats();
+    const poolMegabytes = (pool.bytes / (1024 * 1024)).toFixed(1);
+    const queue = terrainManager.loadQueue.getStats();
+    
     chunkInfoDisplay.innerHTML = `
-      Micro chunks loaded: ${loadedChunks}<br>
+      Micro chunks loaded: ${loadedChunks.length}<br>
+      Chunk pool: ${pool.entries} chunks (${poolMegabytes} MB), hits: ${pool.hits}, misses: ${pool.misses}<br>
+      Load queue: ${queue.pending} waiting, ${queue.inFlight} generating, ${queue.cancelled} cancelled<br>
+      LOD (vertices/side: count): ${lodSummary}<br>
       Current chunk: (${currentChunk.x}, ${currentChunk.z})<br>
       View distance: ${terrainManager.viewDistance} chunks<br>
       Chunk size: ${terrainManager.microSize} units
@@ -451,4 +677,4 @@ function updateUI() {
 }
 
 // Start the application when DOM is loaded
-window.addEventListener('DOMContentLoaded', init);
\ No newline at end of file
+window.addEventListener('DOMContentLoaded', init);
@@ -93,17 +93,27 @@ function setupMouseControls(camera) {
   document.addEventListener('mousemove', (event) => {
     if (!player.mouse.locked) return;
     
-    player.rotation.y -= event.movementX * player.mouse.sensitivity;
-    player.rotation.x -= event.movementY * player.mouse.sensitivity;
-    
-    // Limit vertical look angle
-    player.rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, player.rotation.x));
-    
-    // Update camera rotation
+    setPlayerRotation(
+      player,
+      player.rotation.x - event.movementY * player.mouse.sensitivity,
+      player.rotation.y - event.movementX * player.mouse.sensitivity,
+      camera
+    );
+  });
+}
+
+// Set the player's look direction and update the camera to match
+export function setPlayerRotation(player, pitch, yaw, camera = player.camera) {
+  // Limit vertical look angle
+  player.rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, pitch));
+  player.rotation.y = yaw;
+  
+  // Update camera rotation
+  if (camera) {
     camera.rotation.order = 'YXZ';
     camera.rotation.x = player.rotation.x;
     camera.rotation.y = player.rotation.y;
-  });
+  }
 }
 
 export function updatePlayer(player, deltaTime, terrain) {
@@ -135,8 +145,12 @@ export function updatePlayer(player, deltaTime, terrain) {
   // Apply rotation
   moveDirection.applyAxisAngle(new THREE.Vector3(0, 1, 0), player.rotation.y);
   
-  // Calculate speed
-  const currentSpeed = player.isRunning ? player.sprintSpeed : player.speed;
+  // Calculate speed; deep snow slows the player down
+  let currentSpeed = player.isRunning ? player.sprintSpeed : player.speed;
+  if (terrain && player.isOnGround && terrain.getSnowDepthAt) {
+    const snowDepth = terrain.getSnowDepthAt(player.position.x, player.position.z);
+    currentSpeed *= Math.max(0.35, 1 - snowDepth * 0.5);
+  }
   
   // Set velocity
   player.velocity.x = moveDirection.x * currentSpeed;
@@ -269,6 +283,11 @@ function calculateSlopeDifficulty(player, intendedX, intendedZ, terrain) {
   const maxUphill = 35;
   const maxDownhill = -45;
   
+  // Cliffs can't be climbed, however gentle the step just ahead looks
+  if (heightDiff > 0 && terrain.getSurfaceTypeAt && terrain.getSurfaceTypeAt(sampleX, sampleZ).type === 'cliff') {
+    return 0;
+  }
+  
   // Uphill logic
   if (slopeAngleDegrees > 0) {
     if (slopeAngleDegrees > maxUphill) {
@@ -314,4 +333,4 @@ export function teleportPlayer(player, x, z, terrain) {
     console.error("Teleport error:", error);
     return null;
   }
-}
\ No newline at end of file
+}
@@ -1,5 +1,16 @@
 import * as THREE from 'three';
 
+// Colors of the sky dome gradient; water reflects the same gradient
+export const SKY_GRADIENT = {
+  topColor: 0x0077FF,
+  bottomColor: 0xAAAAAA,
+  offset: 400,
+  exponent: 0.6
+};
+
+// Position of the sun light, which also sets the direction of the glints on water
+export const SUN_POSITION = new THREE.Vector3(100, 150, 50);
+
 export function createScene() {
   // Create scene with blue sky and fog
   const scene = new THREE.Scene();
@@ -49,7 +60,7 @@ function addLighting(scene) {
   
   // Directional light (sun)
   const sunLight = new THREE.DirectionalLight(0xFFFFDD, 0.8);
-  sunLight.position.set(100, 150, 50);
+  sunLight.position.copy(SUN_POSITION);
   sunLight.castShadow = true;
   
   // Configure shadows
@@ -107,10 +118,10 @@ function addSky(scene) {
   `;
   
   const uniforms = {
-    topColor: { value: new THREE.Color(0x0077FF) },
-    bottomColor: { value: new THREE.Color(0xAAAAAA) },
-    offset: { value: 400 },
-    exponent: { value: 0.6 }
+    topColor: { value: new THREE.Color(SKY_GRADIENT.topColor) },
+    bottomColor: { value: new THREE.Color(SKY_GRADIENT.bottomColor) },
+    offset: { value: SKY_GRADIENT.offset },
+    exponent: { value: SKY_GRADIENT.exponent }
   };
   
   const skyMaterial = new THREE.ShaderMaterial({
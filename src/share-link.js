@@ -0,0 +1,73 @@
+// src/share-link.js
+// Encode and decode links that point at a specific spot in a specific world
+
+// Build a shareable URL for the given world state
+export function createShareLink(state, baseUrl = window.location.href) {
+  const url = new URL(baseUrl);
+  url.search = '';
+  url.hash = '';
+  
+  const params = url.searchParams;
+  params.set('seed', state.seed);
+  params.set('profile', state.profile);
+  params.set('x', state.x.toFixed(1));
+  params.set('z', state.z.toFixed(1));
+  params.set('yaw', state.yaw.toFixed(3));
+  params.set('pitch', state.pitch.toFixed(3));
+  
+  // Waypoints are stored as x,z pairs; heights are looked up again on load
+  if (state.route && state.route.length > 0) {
+    params.set('route', state.route.map(p => `${p.x.toFixed(1)},${p.z.toFixed(1)}`).join(';'));
+    params.set('wp', state.routeIndex);
+  }
+  
+  return url.toString();
+}
+
+// Read world state from the query string and hash of a location
+export function parseShareLink(location = window.location) {
+  const params = new URLSearchParams(location.search);
+  
+  // Values in the hash take precedence so links can be written either way
+  const hashParams = new URLSearchParams(location.hash.replace(/^#/, ''));
+  hashParams.forEach((value, key) => params.set(key, value));
+  
+  const route = parseRoute(params.get('route'));
+  const routeIndex = parseNumber(params.get('wp'));
+  
+  return {
+    seed: params.get('seed') || null,
+    profile: params.get('profile'),
+    x: parseNumber(params.get('x')),
+    z: parseNumber(params.get('z')),
+    yaw: parseNumber(params.get('yaw')),
+    pitch: parseNumber(params.get('pitch')),
+    route,
+    routeIndex: route && routeIndex !== null ?
+      Math.max(0, Math.min(route.length - 1, Math.floor(routeIndex))) :
+      0
+  };
+}
+
+// Parse a finite number, returning null for missing or invalid values
+function parseNumber(value) {
+  if (value === null || value === '') return null;
+  
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Parse a route of "x,z;x,z;..." pairs
+function parseRoute(value) {
+  if (!value) return null;
+  
+  const points = [];
+  for (const pair of value.split(';')) {
+    const [x = null, z = null] = pair.split(',').map(parseNumber);
+    if (x !== null && z !== null) {
+      points.push({ x, z });
+    }
+  }
+  
+  return points.length > 0 ? points : null;
+}
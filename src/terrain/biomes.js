@@ -0,0 +1,210 @@
+// src/terrain/biomes.js
+// Biomes classified from temperature and moisture, with the ground colors and cover, detail
+// noise and vegetation of each
+
+// Kinds of plants scattered over the terrain; vegetation data refers to them by index
+export const VEGETATION_KINDS = ['conifer', 'broadleaf', 'shrub', 'dryShrub', 'reeds'];
+
+// Each biome sits at a point of the climate space, where temperature and moisture both run
+// from 0 to 1. Between those points biomes blend, so nothing changes abruptly at a border.
+export const Biomes = {
+  wetland: {
+    name: "Wetland",
+    temperature: 0.6,
+    moisture: 0.9,
+    colors: [[0.28, 0.42, 0.22], [0.36, 0.4, 0.25]],   // Ground color and its variation
+    ground: { grass: 0.8, dirt: 0.2 },                 // Terrain layers of its ground cover, summing to 1
+    detail: { detailScale: 0.4, persistence: 0.8 },     // Multipliers of the detail noise params
+    vegetation: { reeds: 0.012, shrub: 0.002, broadleaf: 0.0006 } // Plants per square metre
+  },
+  
+  forest: {
+    name: "Forest",
+    temperature: 0.55,
+    moisture: 0.65,
+    colors: [[0.2, 0.42, 0.18], [0.27, 0.36, 0.17]],
+    ground: { grass: 0.85, dirt: 0.15 },
+    detail: { detailScale: 1.0, persistence: 1.0 },
+    vegetation: { conifer: 0.003, broadleaf: 0.003, shrub: 0.001 }
+  },
+  
+  grassland: {
+    name: "Grassland",
+    temperature: 0.65,
+    moisture: 0.4,
+    colors: [[0.4, 0.62, 0.28], [0.5, 0.6, 0.3]],
+    ground: { grass: 1 },
+    detail: { detailScale: 0.8, persistence: 0.9 },
+    vegetation: { broadleaf: 0.0002, shrub: 0.0015 }
+  },
+  
+  desertScrub: {
+    name: "Desert Scrub",
+    temperature: 0.85,
+    moisture: 0.12,
+    colors: [[0.72, 0.62, 0.42], [0.62, 0.55, 0.38]],
+    ground: { sand: 0.6, dirt: 0.4 },
+    detail: { detailScale: 1.2, persistence: 1.1 },
+    vegetation: { dryShrub: 0.0015 }
+  },
+  
+  alpineMeadow: {
+    name: "Alpine Meadow",
+    temperature: 0.3,
+    moisture: 0.55,
+    colors: [[0.45, 0.55, 0.32], [0.52, 0.52, 0.38]],
+    ground: { grass: 0.8, dirt: 0.2 },
+    detail: { detailScale: 0.7, persistence: 0.9 },
+    vegetation: { conifer: 0.0005, shrub: 0.001 }
+  },
+  
+  tundra: {
+    name: "Tundra",
+    temperature: 0.1,
+    moisture: 0.35,
+    colors: [[0.52, 0.5, 0.42], [0.45, 0.46, 0.4]],
+    ground: { dirt: 0.6, grass: 0.4 },
+    detail: { detailScale: 1.1, persistence: 1.05 },
+    vegetation: { shrub: 0.0003 }
+  }
+};
+
+// Biome names in a fixed order, so biomes can be stored by index
+export const BIOME_IDS = Object.keys(Biomes);
+
+// How far apart in climate space two biomes can be and still blend
+const CLIMATE_SPREAD = 0.12;
+
+// How much each biome applies at a temperature and moisture, as weights summing to 1.
+// Hot loops can pass in an array to reuse.
+export function getBiomeWeights(temperature, moisture, weights = new Float32Array(BIOME_IDS.length)) {
+  let total = 0;
+  
+  for (let b = 0; b < BIOME_IDS.length; b++) {
+    const biome = Biomes[BIOME_IDS[b]];
+    const dt = temperature - biome.temperature;
+    const dm = moisture - biome.moisture;
+    weights[b] = Math.exp(-(dt * dt + dm * dm) / (2 * CLIMATE_SPREAD * CLIMATE_SPREAD));
+    total += weights[b];
+  }
+  
+  // Far from every biome, fall back to the nearest one
+  if (total < 1e-12) {
+    weights.fill(0);
+    weights[getDominantBiome(temperature, moisture)] = total = 1;
+  }
+  
+  for (let b = 0; b < weights.length; b++) {
+    weights[b] /= total;
+  }
+  
+  return weights;
+}
+
+// Index of the biome closest to a climate
+function getDominantBiome(temperature, moisture) {
+  let nearest = 0;
+  let nearestDistance = Infinity;
+  
+  for (let b = 0; b < BIOME_IDS.length; b++) {
+    const biome = Biomes[BIOME_IDS[b]];
+    const distance = Math.hypot(temperature - biome.temperature, moisture - biome.moisture);
+    if (distance < nearestDistance) {
+      nearest = b;
+      nearestDistance = distance;
+    }
+  }
+  
+  return nearest;
+}
+
+// Name of the biome with the largest weight
+export function classifyBiome(weights) {
+  let best = 0;
+  for (let b = 1; b < weights.length; b++) {
+    if (weights[b] > weights[best]) best = b;
+  }
+  return BIOME_IDS[best];
+}
+
+// The biome at a temperature and moisture: its id and name, the climate, and how much each
+// biome contributes there
+export function describeBiome(temperature, moisture) {
+  const weights = getBiomeWeights(temperature, moisture);
+  const id = classifyBiome(weights);
+  
+  return {
+    id,
+    name: Biomes[id].name,
+    temperature,
+    moisture,
+    weights: Object.fromEntries(BIOME_IDS.map((biomeId, b) => [biomeId, weights[b]]))
+  };
+}
+
+// Blend the ground colors of the biomes into a color. Variation (0-1) moves each biome's
+// color towards its second shade.
+export function blendBiomeColor(weights, variation, target) {
+  let r = 0, g = 0, b = 0;
+  
+  for (let i = 0; i < weights.length; i++) {
+    if (weights[i] === 0) continue;
+    
+    const [base, varied] = Biomes[BIOME_IDS[i]].colors;
+    r += weights[i] * (base[0] + (varied[0] - base[0]) * variation);
+    g += weights[i] * (base[1] + (varied[1] - base[1]) * variation);
+    b += weights[i] * (base[2] + (varied[2] - base[2]) * variation);
+  }
+  
+  return target.setRGB(r, g, b);
+}
+
+// Blend the biomes' ground cover into weights of the terrain layers, by layer name.
+// Hot loops can pass in an object to reuse.
+export function blendBiomeGround(weights, target = {}) {
+  for (const layer in target) target[layer] = 0;
+  
+  for (let b = 0; b < weights.length; b++) {
+    if (weights[b] === 0) continue;
+    
+    const { ground } = Biomes[BIOME_IDS[b]];
+    for (const layer in ground) {
+      target[layer] = (target[layer] || 0) + weights[b] * ground[layer];
+    }
+  }
+  
+  return target;
+}
+
+// Blend the biomes' multipliers of the detail noise params
+export function blendBiomeDetail(weights) {
+  let detailScale = 0;
+  let persistence = 0;
+  
+  for (let b = 0; b < weights.length; b++) {
+    const { detail } = Biomes[BIOME_IDS[b]];
+    detailScale += weights[b] * detail.detailScale;
+    persistence += weights[b] * detail.persistence;
+  }
+  
+  return { detailScale, persistence };
+}
+
+// Plants per square metre of each vegetation kind, indexed like VEGETATION_KINDS
+export function blendVegetationDensities(weights) {
+  const densities = new Float32Array(VEGETATION_KINDS.length);
+  
+  for (let b = 0; b < weights.length; b++) {
+    const { vegetation } = Biomes[BIOME_IDS[b]];
+    for (let k = 0; k < VEGETATION_KINDS.length; k++) {
+      densities[k] += weights[b] * (vegetation[VEGETATION_KINDS[k]] || 0);
+    }
+  }
+  
+  return densities;
+}
+
+// The highest total plant density of any biome, which bounds every blend
+export const MAX_VEGETATION_DENSITY = Math.max(...BIOME_IDS.map(id =>
+  Object.values(Biomes[id].vegetation).reduce((sum, density) => sum + density, 0)
+));
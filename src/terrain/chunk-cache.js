@@ -0,0 +1,202 @@
+// src/terrain/chunk-cache.js
+// Persistent cache of generated micro chunk data in IndexedDB, with LRU eviction
+
+import { deriveSeed } from '../utils/random.js';
+
+const DB_NAME = 'terrain-chunk-cache';
+const DB_VERSION = 1;
+const DATA_STORE = 'chunks';   // key -> { key, heightMap, positions, normals, colors, layers, cliffs, index, snowDepth, waterSurface, climate, vegetation }
+const META_STORE = 'meta';     // key -> { key, size, lastAccess }, small enough to scan on open
+
+export class ChunkCache {
+  constructor(maxBytes = 256 * 1024 * 1024) {
+    this.maxBytes = maxBytes;      // Total size of cached chunk data before old entries are evicted
+    this.totalBytes = 0;
+    this.entries = new Map();      // key -> { size, lastAccess }, mirrors the meta store
+    this.db = null;
+    this.opening = null;
+    this.hits = 0;
+    this.misses = 0;
+  }
+  
+  // Check whether IndexedDB can be used in this environment
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+  
+  // Build the part of a cache key that identifies a world: everything that changes
+  // the generated terrain, so stale entries can never be returned
+  static createWorldKey(settings, profileName, generatorVersion) {
+    const hash = deriveSeed(generatorVersion, JSON.stringify(settings));
+    return `${settings.seed}:${profileName}:${hash.toString(36)}`;
+  }
+  
+  // Open the database once and load the entry index
+  open() {
+    if (!this.opening) {
+      this.opening = this.openDatabase().catch(error => {
+        console.warn('Terrain cache unavailable, chunks will not be cached', error);
+        return null;
+      });
+    }
+    return this.opening;
+  }
+  
+  async openDatabase() {
+    this.db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(DATA_STORE, { keyPath: 'key' });
+        db.createObjectStore(META_STORE, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    
+    const meta = await this.request(this.db.transaction(META_STORE).objectStore(META_STORE).getAll());
+    for (const entry of meta) {
+      this.entries.set(entry.key, { size: entry.size, lastAccess: entry.lastAccess });
+      this.totalBytes += entry.size;
+    }
+    
+    return this.db;
+  }
+  
+  // Wrap an IDBRequest in a promise
+  request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  
+  // Wait for a transaction to finish
+  complete(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+  
+  // Get cached chunk data, or null when it isn't cached
+  async get(key) {
+    const db = await this.open();
+    const entry = this.entries.get(key);
+    if (!db || !entry) {
+      this.misses++;
+      return null;
+    }
+    
+    try {
+      const transaction = db.transaction([DATA_STORE, META_STORE], 'readwrite');
+      const record = await this.request(transaction.objectStore(DATA_STORE).get(key));
+      
+      if (!record) {
+        this.misses++;
+        return null;
+      }
+      
+      // Mark as recently used
+      entry.lastAccess = Date.now();
+      transaction.objectStore(META_STORE).put({ key, size: entry.size, lastAccess: entry.lastAccess });
+      
+      this.hits++;
+      return {
+        heightMap: record.heightMap,
+        normals: record.normals,
+        colors: record.colors,
+        layers: record.layers,
+        cliffs: record.cliffs,
+        index: record.index,
+        snowDepth: record.snowDepth,
+        ...(record.positions ? { positions: record.positions } : {}),
+        waterSurface: record.waterSurface,
+        climate: record.climate,
+        vegetation: record.vegetation
+      };
+    } catch (error) {
+      console.warn('Terrain cache read failed', error);
+      this.misses++;
+      return null;
+    }
+  }
+  
+  // Store chunk data, evicting the least recently used chunks if over the size limit. Chunks
+  // without cliffs have no index of their own, and their positions are left out.
+  async put(key, { heightMap, positions = null, normals, colors, layers, cliffs, index = null, snowDepth, waterSurface, climate, vegetation }) {
+    const db = await this.open();
+    if (!db) return;
+    
+    const size = heightMap.byteLength + normals.byteLength + colors.byteLength + layers.byteLength + cliffs.byteLength +
+      (index ? index.byteLength : 0) + (positions ? positions.byteLength : 0) + snowDepth.byteLength +
+      waterSurface.byteLength + climate.temperature.byteLength + climate.moisture.byteLength +
+      vegetation.kinds.byteLength + vegetation.transforms.byteLength;
+    const lastAccess = Date.now();
+    
+    try {
+      const transaction = db.transaction([DATA_STORE, META_STORE], 'readwrite');
+      transaction.objectStore(DATA_STORE).put({
+        key, heightMap, positions, normals, colors, layers, cliffs, index, snowDepth, waterSurface, climate, vegetation
+      });
+      transaction.objectStore(META_STORE).put({ key, size, lastAccess });
+      await this.complete(transaction);
+      
+      const previous = this.entries.get(key);
+      if (previous) this.totalBytes -= previous.size;
+      this.entries.set(key, { size, lastAccess });
+      this.totalBytes += size;
+      
+      await this.evict();
+    } catch (error) {
+      // Usually the storage quota; the chunk is simply not cached
+      console.warn('Terrain cache write failed', error);
+    }
+  }
+  
+  // Remove least recently used entries until the cache fits its size limit
+  async evict() {
+    if (this.totalBytes <= this.maxBytes) return;
+    
+    const oldestFirst = [...this.entries].sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+    const transaction = this.db.transaction([DATA_STORE, META_STORE], 'readwrite');
+    
+    for (const [key, entry] of oldestFirst) {
+      if (this.totalBytes <= this.maxBytes) break;
+      
+      transaction.objectStore(DATA_STORE).delete(key);
+      transaction.objectStore(META_STORE).delete(key);
+      this.entries.delete(key);
+      this.totalBytes -= entry.size;
+    }
+    
+    await this.complete(transaction);
+  }
+  
+  // Delete every cached chunk
+  async clear() {
+    const db = await this.open();
+    
+    this.entries.clear();
+    this.totalBytes = 0;
+    if (!db) return;
+    
+    const transaction = db.transaction([DATA_STORE, META_STORE], 'readwrite');
+    transaction.objectStore(DATA_STORE).clear();
+    transaction.objectStore(META_STORE).clear();
+    await this.complete(transaction);
+  }
+  
+  // Summary for the debug display
+  getStats() {
+    return {
+      entries: this.entries.size,
+      bytes: this.totalBytes,
+      maxBytes: this.maxBytes,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+}
@@ -0,0 +1,150 @@
+// src/terrain/chunk-load-queue.js
+// Schedules micro chunk loading by priority, with a per-frame budget for main-thread work
+
+// Two requests ask for the same chunk data if they match in resolution and world version
+function isSameRequest(a, b) {
+  return !!a && !!b && a.resolution === b.resolution && a.version === b.version;
+}
+
+export class ChunkLoadQueue {
+  constructor({ generate, integrate, reuse, getPriority, maxInFlight = 1, frameBudget = 4 }) {
+    this.generate = generate;        // request -> Promise of chunk data, generated off the frame
+    this.integrate = integrate;      // (request, data) -> adds the chunk to the scene
+    this.reuse = reuse;              // request -> true if the chunk was restored without generating
+    this.getPriority = getPriority;  // request -> number, lower values load first
+    this.maxInFlight = maxInFlight;  // Chunks generated at the same time
+    this.frameBudget = frameBudget;  // Milliseconds of main-thread work per frame
+    
+    this.wanted = new Map();         // key -> latest request for that chunk
+    this.pending = new Map();        // key -> request waiting to start
+    this.inFlight = new Map();       // key -> request being generated
+    this.ready = [];                 // { request, data } waiting to be added to the scene
+    this.idleCallbacks = [];
+    this.scheduled = false;
+    this.cancelled = 0;
+  }
+  
+  // Replace the set of wanted chunks. Waiting requests that are no longer wanted are cancelled,
+  // and chunks already being generated for them are dropped when they arrive.
+  setRequests(requests) {
+    this.wanted = new Map(requests.map(request => [request.key, request]));
+    
+    for (const [key, request] of this.pending) {
+      if (!this.isWanted(request)) {
+        this.pending.delete(key);
+        this.cancelled++;
+      }
+    }
+    
+    // Chunks already being generated or waiting to be added don't need to start again
+    for (const request of requests) {
+      const generating = isSameRequest(this.inFlight.get(request.key), request);
+      const finished = this.ready.some(item => item.request.key === request.key && isSameRequest(item.request, request));
+      if (!generating && !finished) {
+        this.pending.set(request.key, request);
+      }
+    }
+    
+    this.ready = this.ready.filter(({ request }) => this.isWanted(request));
+    this.schedule();
+  }
+  
+  // Check whether a request still matches what is wanted for its chunk
+  isWanted(request) {
+    return isSameRequest(this.wanted.get(request.key), request);
+  }
+  
+  isIdle() {
+    return this.pending.size === 0 && this.inFlight.size === 0 && this.ready.length === 0;
+  }
+  
+  // Resolve once every wanted chunk has been loaded or cancelled
+  whenIdle() {
+    if (this.isIdle()) return Promise.resolve();
+    return new Promise(resolve => this.idleCallbacks.push(resolve));
+  }
+  
+  // Process the queue on the next frame
+  schedule() {
+    if (this.scheduled) return;
+    this.scheduled = true;
+    
+    const nextFrame = typeof requestAnimationFrame === 'function' ?
+      requestAnimationFrame :
+      callback => setTimeout(callback, 0);
+    nextFrame(() => this.process());
+  }
+  
+  // Do one frame's worth of work
+  process() {
+    this.scheduled = false;
+    const start = performance.now();
+    const withinBudget = () => performance.now() - start < this.frameBudget;
+    
+    // Add finished chunks to the scene; at least one per frame so loading always progresses
+    while (this.ready.length > 0) {
+      const { request, data } = this.ready.shift();
+      if (this.isWanted(request)) {
+        this.integrate(request, data);
+      }
+      if (!withinBudget()) break;
+    }
+    
+    // Start the most urgent requests
+    if (this.pending.size > 0 && this.inFlight.size < this.maxInFlight) {
+      const byPriority = [...this.pending.values()]
+        .map(request => ({ request, priority: this.getPriority(request) }))
+        .sort((a, b) => a.priority - b.priority);
+      
+      for (const { request } of byPriority) {
+        if (this.inFlight.size >= this.maxInFlight || !withinBudget()) break;
+        
+        this.pending.delete(request.key);
+        if (!this.reuse(request)) {
+          this.start(request);
+        }
+      }
+    }
+    
+    if (this.isIdle()) {
+      const callbacks = this.idleCallbacks;
+      this.idleCallbacks = [];
+      callbacks.forEach(callback => callback());
+    } else if (this.ready.length > 0 || (this.pending.size > 0 && this.inFlight.size < this.maxInFlight)) {
+      this.schedule();
+    }
+  }
+  
+  // Generate a chunk and queue its data for the scene
+  start(request) {
+    this.inFlight.set(request.key, request);
+    
+    this.generate(request)
+      .then(data => {
+        if (this.isWanted(request)) {
+          this.ready.push({ request, data });
+        } else {
+          this.cancelled++;
+        }
+      })
+      .catch(error => {
+        console.warn(`Failed to generate chunk ${request.key}`, error);
+      })
+      .finally(() => {
+        if (this.inFlight.get(request.key) === request) {
+          this.inFlight.delete(request.key);
+        }
+        this.schedule();
+      });
+  }
+  
+  // Summary for the debug display
+  getStats() {
+    return {
+      pending: this.pending.size,
+      inFlight: this.inFlight.size,
+      ready: this.ready.length,
+      cancelled: this.cancelled
+    };
+  }
+}
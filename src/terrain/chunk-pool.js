@@ -0,0 +1,100 @@
+// src/terrain/chunk-pool.js
+// Keeps recently unloaded micro chunks in memory so walking back over them is instant
+
+export class ChunkPool {
+  constructor(maxBytes = 128 * 1024 * 1024, disposeChunk = () => {}) {
+    this.maxBytes = maxBytes;        // Memory budget for pooled heightmaps and geometry
+    this.disposeChunk = disposeChunk; // Called for chunks that fall out of the pool
+    this.chunks = new Map();         // key -> chunk, in least to most recently used order
+    this.totalBytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+  }
+  
+  // Estimate the memory held by a chunk's heightmap and geometry buffers
+  static estimateChunkBytes(chunk) {
+    const geometry = chunk.mesh.geometry;
+    let bytes = chunk.heightMap.byteLength;
+    
+    if (geometry.index) bytes += geometry.index.array.byteLength;
+    for (const name in geometry.attributes) {
+      bytes += geometry.attributes[name].array.byteLength;
+    }
+    
+    // Water surface mesh, for chunks that have one
+    if (chunk.waterMesh) {
+      const waterGeometry = chunk.waterMesh.geometry;
+      bytes += waterGeometry.index.array.byteLength;
+      for (const name in waterGeometry.attributes) {
+        bytes += waterGeometry.attributes[name].array.byteLength;
+      }
+    }
+    
+    // Plant instances; the plant geometries themselves are shared
+    for (const vegetationMesh of chunk.vegetationMeshes || []) {
+      bytes += vegetationMesh.instanceMatrix.array.byteLength;
+    }
+    
+    return bytes;
+  }
+  
+  // Take a chunk back out of the pool if it was kept at the wanted resolution
+  take(key, resolution) {
+    const chunk = this.chunks.get(key);
+    
+    if (!chunk || chunk.resolution !== resolution) {
+      this.misses++;
+      return null;
+    }
+    
+    this.chunks.delete(key);
+    this.totalBytes -= chunk.pooledBytes;
+    this.hits++;
+    return chunk;
+  }
+  
+  // Keep an unloaded chunk, evicting the least recently used ones over budget
+  add(key, chunk) {
+    const previous = this.chunks.get(key);
+    if (previous) {
+      this.remove(key);
+    }
+    
+    chunk.pooledBytes = ChunkPool.estimateChunkBytes(chunk);
+    this.chunks.set(key, chunk);
+    this.totalBytes += chunk.pooledBytes;
+    
+    for (const [oldestKey] of this.chunks) {
+      if (this.totalBytes <= this.maxBytes) break;
+      this.remove(oldestKey);
+    }
+  }
+  
+  // Drop a pooled chunk and free its resources
+  remove(key) {
+    const chunk = this.chunks.get(key);
+    if (!chunk) return;
+    
+    this.chunks.delete(key);
+    this.totalBytes -= chunk.pooledBytes;
+    this.disposeChunk(chunk);
+  }
+  
+  // Drop every pooled chunk, e.g. when the world is regenerated
+  clear() {
+    for (const key of [...this.chunks.keys()]) {
+      this.remove(key);
+    }
+  }
+  
+  // Summary for the debug display
+  getStats() {
+    return {
+      entries: this.chunks.size,
+      bytes: this.totalBytes,
+      maxBytes: this.maxBytes,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+}
@@ -0,0 +1,97 @@
+// src/terrain/chunk-worker-pool.js
+// A small pool of Web Workers that generate micro chunk data in parallel
+
+export class ChunkWorkerPool {
+  constructor(size = ChunkWorkerPool.defaultSize()) {
+    this.workers = [];
+    this.pending = new Map();   // Job id -> { resolve, reject, worker }
+    this.nextJobId = 0;
+    this.version = 0;           // Bumped whenever the world is reconfigured
+    
+    for (let i = 0; i < size; i++) {
+      const worker = new Worker(new URL('./chunk-worker.js', import.meta.url), { type: 'module' });
+      worker.activeJobs = 0;
+      worker.onmessage = (event) => this.handleMessage(worker, event.data);
+      worker.onerror = (event) => this.handleWorkerError(worker, event);
+      this.workers.push(worker);
+    }
+  }
+  
+  // Check whether module workers can be used in this environment
+  static isSupported() {
+    return typeof Worker !== 'undefined' && typeof URL !== 'undefined';
+  }
+  
+  // Leave one core for the main thread
+  static defaultSize() {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    return Math.max(1, Math.min(4, cores - 1));
+  }
+  
+  // Send the generator settings and macro terrain to every worker
+  configure(settings, macroTerrain) {
+    this.version++;
+    
+    for (const worker of this.workers) {
+      worker.postMessage({ type: 'configure', version: this.version, settings, macroTerrain });
+    }
+    
+    return this.version;
+  }
+  
+  // Let every worker drop macro tiles far from the player
+  evictMacroTiles(worldX, worldZ, distance) {
+    for (const worker of this.workers) {
+      worker.postMessage({ type: 'evict', worldX, worldZ, distance });
+    }
+  }
+  
+  // Generate a chunk at the given resolution on the least busy worker
+  generateChunk(chunkX, chunkZ, resolution) {
+    const worker = this.workers.reduce((best, w) => w.activeJobs < best.activeJobs ? w : best);
+    const id = this.nextJobId++;
+    
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, worker });
+      worker.activeJobs++;
+      worker.postMessage({ type: 'generate', id, chunkX, chunkZ, resolution });
+    });
+  }
+  
+  handleMessage(worker, message) {
+    const job = this.pending.get(message.id);
+    if (!job) return;
+    
+    this.pending.delete(message.id);
+    worker.activeJobs--;
+    
+    if (message.type === 'error') {
+      job.reject(new Error(message.message));
+    } else {
+      job.resolve(message);
+    }
+  }
+  
+  // A worker failed outright, so fail every job it was running
+  handleWorkerError(worker, event) {
+    for (const [id, job] of this.pending) {
+      if (job.worker === worker) {
+        this.pending.delete(id);
+        job.reject(new Error(event.message || 'Chunk worker failed'));
+      }
+    }
+    worker.activeJobs = 0;
+  }
+  
+  // Stop all workers and reject outstanding jobs
+  dispose() {
+    for (const worker of this.workers) {
+      worker.terminate();
+    }
+    for (const job of this.pending.values()) {
+      job.reject(new Error('Chunk worker pool disposed'));
+    }
+    this.pending.clear();
+    this.workers = [];
+  }
+}
@@ -0,0 +1,44 @@
+// src/terrain/chunk-worker.js
+// Web Worker that generates micro chunk heightmaps, normals and colors off the main thread
+import { TerrainGenerator } from './terrain-generator.js';
+
+let generator = null;
+let version = 0;
+
+self.onmessage = (event) => {
+  const message = event.data;
+  
+  switch (message.type) {
+    case 'configure':
+      // Rebuild the generator for a new world (seed, profile or settings changed)
+      generator = new TerrainGenerator(message.settings);
+      generator.setMacroTerrain(message.macroTerrain);
+      version = message.version;
+      break;
+    
+    case 'evict':
+      // Macro tiles are generated on demand, so forget the ones the player left behind
+      if (generator) {
+        generator.evictMacroTiles(message.worldX, message.worldZ, message.distance);
+      }
+      break;
+    
+    case 'generate': {
+      try {
+        const data = generator.generateChunkData(message.chunkX, message.chunkZ, message.resolution);
+        
+        // Hand the buffers back without copying
+        const buffers = [
+          data.heightMap.buffer, data.positions.buffer, data.normals.buffer, data.colors.buffer, data.layers.buffer,
+          data.cliffs.buffer, data.snowDepth.buffer, data.waterSurface.buffer, data.climate.temperature.buffer,
+          data.climate.moisture.buffer, data.vegetation.kinds.buffer, data.vegetation.transforms.buffer
+        ];
+        if (data.index) buffers.push(data.index.buffer);
+        self.postMessage({ type: 'chunk', id: message.id, version, ...data }, buffers);
+      } catch (error) {
+        self.postMessage({ type: 'error', id: message.id, message: error.message });
+      }
+      break;
+    }
+  }
+};
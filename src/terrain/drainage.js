@@ -0,0 +1,252 @@
+// src/terrain/drainage.js
+// Drainage analysis on heightmaps: depression filling, basins, flow directions,
+// flow accumulation, river extraction and distance to water
+
+// Offsets of the eight neighbours of a cell, with their distance in cells
+const NEIGHBOURS = [
+  [-1, -1, Math.SQRT2], [0, -1, 1], [1, -1, Math.SQRT2],
+  [-1, 0, 1], [1, 0, 1],
+  [-1, 1, Math.SQRT2], [0, 1, 1], [1, 1, Math.SQRT2]
+];
+
+// Binary min-heap of cell indices ordered by height
+class CellQueue {
+  constructor() {
+    this.cells = [];
+    this.heights = [];
+  }
+  
+  get size() {
+    return this.cells.length;
+  }
+  
+  push(cell, height) {
+    let i = this.cells.length;
+    this.cells.push(cell);
+    this.heights.push(height);
+    
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.heights[parent] <= height) break;
+      this.cells[i] = this.cells[parent];
+      this.heights[i] = this.heights[parent];
+      i = parent;
+    }
+    
+    this.cells[i] = cell;
+    this.heights[i] = height;
+  }
+  
+  pop() {
+    const top = this.cells[0];
+    const lastCell = this.cells.pop();
+    const lastHeight = this.heights.pop();
+    const count = this.cells.length;
+    if (count === 0) return top;
+    
+    let i = 0;
+    while (true) {
+      let child = i * 2 + 1;
+      if (child >= count) break;
+      if (child + 1 < count && this.heights[child + 1] < this.heights[child]) child++;
+      if (this.heights[child] >= lastHeight) break;
+      
+      this.cells[i] = this.cells[child];
+      this.heights[i] = this.heights[child];
+      i = child;
+    }
+    
+    this.cells[i] = lastCell;
+    this.heights[i] = lastHeight;
+    return top;
+  }
+}
+
+// Priority-flood from the edges of the map. Returns the filled heights, and for every cell
+// that was raised, the index of the spill cell whose height sets its level (otherwise -1).
+function floodFromEdges(heightMap, width, depth, epsilon) {
+  const filled = new Float64Array(heightMap);
+  const spills = new Int32Array(heightMap.length).fill(-1);
+  const closed = new Uint8Array(heightMap.length);
+  const queue = new CellQueue();
+  
+  // Water leaves the map across its edges
+  for (let z = 0; z < depth; z++) {
+    for (let x = 0; x < width; x++) {
+      if (x === 0 || z === 0 || x === width - 1 || z === depth - 1) {
+        const i = z * width + x;
+        closed[i] = 1;
+        queue.push(i, filled[i]);
+      }
+    }
+  }
+  
+  // Grow inwards from the lowest open cell, raising cells that would otherwise hold water
+  while (queue.size > 0) {
+    const i = queue.pop();
+    const x = i % width;
+    const z = (i - x) / width;
+    
+    for (const [dx, dz] of NEIGHBOURS) {
+      const nx = x + dx;
+      const nz = z + dz;
+      if (nx < 0 || nx >= width || nz < 0 || nz >= depth) continue;
+      
+      const j = nz * width + nx;
+      if (closed[j]) continue;
+      
+      closed[j] = 1;
+      if (filled[j] < filled[i] + epsilon) {
+        filled[j] = filled[i] + epsilon;
+        spills[j] = spills[i] >= 0 ? spills[i] : i;
+      }
+      queue.push(j, filled[j]);
+    }
+  }
+  
+  return { filled, spills };
+}
+
+/**
+ * Fill the depressions of a heightmap with priority-flood, so water can drain from every
+ * cell to the edge of the map. Returns a new heightmap. With a positive epsilon, filled
+ * areas get a slight slope towards their outlet instead of being perfectly flat.
+ */
+export function fillDepressions(heightMap, width, depth, epsilon = 0) {
+  return floodFromEdges(heightMap, width, depth, epsilon).filled;
+}
+
+/**
+ * Find the basins that would hold water if it could only leave across the edges of the map.
+ * Returns the water level of every cell (its own height outside basins) and, for cells under
+ * water, the index of the spill cell over which their basin overflows, or -1. Cells sharing
+ * a spill cell form one body of water.
+ */
+export function findBasins(heightMap, width, depth) {
+  const { filled, spills } = floodFromEdges(heightMap, width, depth, 0);
+  return { levels: filled, spills };
+}
+
+/**
+ * Find the steepest downhill neighbour of every cell (D8 flow). Returns the index of the
+ * cell each cell drains into, or -1 for cells that drain off the map or have no lower
+ * neighbour.
+ */
+export function computeFlowDirections(heightMap, width, depth) {
+  const directions = new Int32Array(heightMap.length).fill(-1);
+  
+  for (let z = 1; z < depth - 1; z++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = z * width + x;
+      let steepest = 0;
+      
+      for (const [dx, dz, distance] of NEIGHBOURS) {
+        const j = (z + dz) * width + (x + dx);
+        const drop = (heightMap[i] - heightMap[j]) / distance;
+        if (drop > steepest) {
+          steepest = drop;
+          directions[i] = j;
+        }
+      }
+    }
+  }
+  
+  return directions;
+}
+
+/**
+ * Count the cells that drain through each cell, including itself
+ */
+export function computeFlowAccumulation(heightMap, directions) {
+  const accumulation = new Float32Array(heightMap.length).fill(1);
+  
+  // Highest cells first, so every cell has received its upstream flow before passing it on
+  const order = Array.from(heightMap.keys()).sort((a, b) => heightMap[b] - heightMap[a] || a - b);
+  for (const i of order) {
+    if (directions[i] >= 0) {
+      accumulation[directions[i]] += accumulation[i];
+    }
+  }
+  
+  return accumulation;
+}
+
+/**
+ * Trace rivers through cells whose accumulation reaches the threshold. Rivers are split at
+ * every confluence, so the result doesn't depend on the order cells are visited in. A river
+ * ends at the first mouth cell it reaches, and a new one starts where water leaves a mouth.
+ * Returns polylines as arrays of cell indices, from upstream to downstream.
+ */
+export function extractRiverCells(accumulation, directions, threshold, isMouth = () => false) {
+  const isRiver = i => accumulation[i] >= threshold;
+  
+  // Count the river cells flowing into each cell
+  const tributaries = new Uint8Array(accumulation.length);
+  for (let i = 0; i < accumulation.length; i++) {
+    if (isRiver(i) && !isMouth(i) && directions[i] >= 0) {
+      tributaries[directions[i]]++;
+    }
+  }
+  
+  const rivers = [];
+  for (let start = 0; start < accumulation.length; start++) {
+    // Rivers start at sources and at confluences
+    if (!isRiver(start) || tributaries[start] === 1) continue;
+    
+    const cells = [start];
+    let i = start;
+    while (directions[i] >= 0 && !isMouth(i)) {
+      i = directions[i];
+      cells.push(i);
+      if (tributaries[i] !== 1) break;
+    }
+    
+    if (cells.length > 1) {
+      rivers.push(cells);
+    }
+  }
+  
+  return rivers;
+}
+
+/**
+ * Measure the distance from every cell to the nearest marked cell, in cells, with a two-pass
+ * chamfer transform over straight and diagonal steps. Without any marked cell every distance
+ * is Infinity.
+ */
+export function computeDistanceField(mask, width, depth) {
+  const distance = new Float32Array(mask.length);
+  for (let i = 0; i < mask.length; i++) {
+    distance[i] = mask[i] ? 0 : Infinity;
+  }
+  
+  const relax = (i, x, z, dx, dz, step) => {
+    const nx = x + dx;
+    const nz = z + dz;
+    if (nx < 0 || nx >= width || nz < 0 || nz >= depth) return;
+    distance[i] = Math.min(distance[i], distance[nz * width + nx] + step);
+  };
+  
+  // Carry distances down and to the right, then back up and to the left
+  for (let z = 0; z < depth; z++) {
+    for (let x = 0; x < width; x++) {
+      const i = z * width + x;
+      relax(i, x, z, -1, 0, 1);
+      relax(i, x, z, -1, -1, Math.SQRT2);
+      relax(i, x, z, 0, -1, 1);
+      relax(i, x, z, 1, -1, Math.SQRT2);
+    }
+  }
+  
+  for (let z = depth - 1; z >= 0; z--) {
+    for (let x = width - 1; x >= 0; x--) {
+      const i = z * width + x;
+      relax(i, x, z, 1, 0, 1);
+      relax(i, x, z, 1, 1, Math.SQRT2);
+      relax(i, x, z, 0, 1, 1);
+      relax(i, x, z, -1, 1, Math.SQRT2);
+    }
+  }
+  
+  return distance;
+}
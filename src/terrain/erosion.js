@@ -0,0 +1,219 @@
+// src/terrain/erosion.js
+// Droplet-based hydraulic erosion for heightmaps
+
+// Default droplet simulation settings; profiles override the rates
+export const DEFAULT_EROSION = {
+  inertia: 0.05,            // How much a droplet keeps its direction (0-1)
+  capacity: 4,              // Sediment a droplet can carry per unit of speed and water
+  minCapacity: 0.01,        // Keeps droplets eroding a little on flat ground
+  erosionRate: 0.3,         // Fraction of free capacity taken from the ground each step
+  depositionRate: 0.3,      // Fraction of excess sediment dropped each step
+  evaporation: 0.01,        // Fraction of water lost each step
+  gravity: 4,
+  maxLifetime: 30,          // Steps before a droplet is discarded
+  radius: 2                 // Radius of the erosion brush in cells
+};
+
+// Precompute the cells and weights of a circular erosion brush
+function createBrush(radius) {
+  const offsets = [];
+  const weights = [];
+  let total = 0;
+  
+  for (let dz = -radius; dz <= radius; dz++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      if (distance < radius) {
+        offsets.push([dx, dz]);
+        weights.push(1 - distance / radius);
+        total += 1 - distance / radius;
+      }
+    }
+  }
+  
+  return { offsets, weights: weights.map(weight => weight / total) };
+}
+
+// Height and gradient at a fractional grid position, by bilinear interpolation
+function sampleHeightAndGradient(heightMap, width, x, z) {
+  const cellX = Math.floor(x);
+  const cellZ = Math.floor(z);
+  const u = x - cellX;
+  const v = z - cellZ;
+  
+  const i = cellZ * width + cellX;
+  const h00 = heightMap[i];
+  const h10 = heightMap[i + 1];
+  const h01 = heightMap[i + width];
+  const h11 = heightMap[i + width + 1];
+  
+  return {
+    height: h00 * (1 - u) * (1 - v) + h10 * u * (1 - v) + h01 * (1 - u) * v + h11 * u * v,
+    gradientX: (h10 - h00) * (1 - v) + (h11 - h01) * v,
+    gradientZ: (h01 - h00) * (1 - u) + (h11 - h10) * u
+  };
+}
+
+/**
+ * Run droplet hydraulic erosion on a heightmap in place.
+ * Heights are divided by `heightScale` while simulating so the rates behave the same
+ * for any vertical scale. The random generator decides where droplets start, so a
+ * seeded generator gives the same result every time.
+ */
+export function applyHydraulicErosion(heightMap, width, depth, options, random, heightScale = 1) {
+  const settings = { ...DEFAULT_EROSION, ...options };
+  const dropletCount = Math.floor(settings.droplets * width * depth);
+  if (dropletCount <= 0) return heightMap;
+  
+  const brush = createBrush(settings.radius);
+  
+  // Work on normalized heights
+  const heights = new Float32Array(heightMap.length);
+  for (let i = 0; i < heightMap.length; i++) {
+    heights[i] = heightMap[i] / heightScale;
+  }
+  
+  for (let d = 0; d < dropletCount; d++) {
+    let x = random() * (width - 1);
+    let z = random() * (depth - 1);
+    let directionX = 0;
+    let directionZ = 0;
+    let speed = 1;
+    let water = 1;
+    let sediment = 0;
+    
+    for (let step = 0; step < settings.maxLifetime; step++) {
+      const cellX = Math.floor(x);
+      const cellZ = Math.floor(z);
+      const u = x - cellX;
+      const v = z - cellZ;
+      
+      // Move downhill, keeping some of the previous direction
+      const current = sampleHeightAndGradient(heights, width, x, z);
+      directionX = directionX * settings.inertia - current.gradientX * (1 - settings.inertia);
+      directionZ = directionZ * settings.inertia - current.gradientZ * (1 - settings.inertia);
+      
+      const length = Math.sqrt(directionX * directionX + directionZ * directionZ);
+      if (length === 0) break;
+      directionX /= length;
+      directionZ /= length;
+      x += directionX;
+      z += directionZ;
+      
+      // Stop at the edge of the map
+      if (x < 0 || x >= width - 1 || z < 0 || z >= depth - 1) break;
+      
+      const heightDelta = sampleHeightAndGradient(heights, width, x, z).height - current.height;
+      const capacity = Math.max(-heightDelta * speed * water * settings.capacity, settings.minCapacity);
+      
+      if (sediment > capacity || heightDelta > 0) {
+        // Fill the pit behind the droplet, or drop part of the excess sediment
+        const amount = heightDelta > 0 ?
+          Math.min(heightDelta, sediment) :
+          (sediment - capacity) * settings.depositionRate;
+        sediment -= amount;
+        
+        const i = cellZ * width + cellX;
+        heights[i] += amount * (1 - u) * (1 - v);
+        heights[i + 1] += amount * u * (1 - v);
+        heights[i + width] += amount * (1 - u) * v;
+        heights[i + width + 1] += amount * u * v;
+      } else {
+        // Erode with a brush so the droplet doesn't dig single-cell pits
+        const amount = Math.min((capacity - sediment) * settings.erosionRate, -heightDelta);
+        
+        for (let b = 0; b < brush.offsets.length; b++) {
+          const brushX = cellX + brush.offsets[b][0];
+          const brushZ = cellZ + brush.offsets[b][1];
+          if (brushX < 0 || brushX >= width || brushZ < 0 || brushZ >= depth) continue;
+          
+          const i = brushZ * width + brushX;
+          const removed = Math.min(heights[i], amount * brush.weights[b]);
+          heights[i] -= removed;
+          sediment += removed;
+        }
+      }
+      
+      speed = Math.sqrt(Math.max(0, speed * speed - heightDelta * settings.gravity));
+      water *= 1 - settings.evaporation;
+    }
+  }
+  
+  for (let i = 0; i < heightMap.length; i++) {
+    heightMap[i] = heights[i] * heightScale;
+  }
+  
+  return heightMap;
+}
+
+// Neighbour offsets used by thermal erosion, with their distance in cells
+const THERMAL_NEIGHBOURS = [
+  [-1, -1, Math.SQRT2], [0, -1, 1], [1, -1, Math.SQRT2],
+  [-1, 0, 1], [1, 0, 1],
+  [-1, 1, Math.SQRT2], [0, 1, 1], [1, 1, Math.SQRT2]
+];
+
+/**
+ * Run thermal erosion on a heightmap in place: material slides off slopes steeper than
+ * the talus angle and piles up below them as scree. Every cell is updated from the
+ * previous iteration's heights, so the result doesn't depend on the processing order
+ * and a cell only depends on cells within `iterations` steps of it. The talus angle is
+ * either one angle in degrees or an array holding one per cell.
+ */
+export function applyThermalErosion(heightMap, width, depth, { talusAngle, iterations, cellSize = 1, strength = 0.5 }) {
+  const toTalus = angle => Math.tan(angle * Math.PI / 180) * cellSize;
+  const talusMap = typeof talusAngle === 'number' ? null : Float32Array.from(talusAngle, toTalus);
+  const uniformTalus = talusMap ? 0 : toTalus(talusAngle);
+  const delta = new Float32Array(heightMap.length);
+  
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    delta.fill(0);
+    
+    for (let z = 0; z < depth; z++) {
+      for (let x = 0; x < width; x++) {
+        const i = z * width + x;
+        const height = heightMap[i];
+        const talus = talusMap ? talusMap[i] : uniformTalus;
+        let maxExcess = 0;
+        let totalExcess = 0;
+        
+        // Find how far each lower neighbour is below the talus slope
+        for (const [dx, dz, distance] of THERMAL_NEIGHBOURS) {
+          const nx = x + dx;
+          const nz = z + dz;
+          if (nx < 0 || nx >= width || nz < 0 || nz >= depth) continue;
+          
+          const excess = height - heightMap[nz * width + nx] - talus * distance;
+          if (excess > 0) {
+            totalExcess += excess;
+            maxExcess = Math.max(maxExcess, excess);
+          }
+        }
+        
+        if (totalExcess === 0) continue;
+        
+        // Move part of the excess downhill, shared in proportion to each drop
+        const moved = maxExcess * strength * 0.5;
+        delta[i] -= moved;
+        
+        for (const [dx, dz, distance] of THERMAL_NEIGHBOURS) {
+          const nx = x + dx;
+          const nz = z + dz;
+          if (nx < 0 || nx >= width || nz < 0 || nz >= depth) continue;
+          
+          const j = nz * width + nx;
+          const excess = height - heightMap[j] - talus * distance;
+          if (excess > 0) {
+            delta[j] += moved * excess / totalExcess;
+          }
+        }
+      }
+    }
+    
+    for (let i = 0; i < heightMap.length; i++) {
+      heightMap[i] += delta[i];
+    }
+  }
+  
+  return heightMap;
+}
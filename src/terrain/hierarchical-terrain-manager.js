@@ -1,24 +1,38 @@
 import * as THREE from 'three';
-import { createNoise2D } from 'simplex-noise';
 import { getProfile } from './profiles.js';
+import { createStamp } from './stamps.js';
+import { describeBiome } from './biomes.js';
+import { TerrainGenerator, createChunkIndex, GENERATOR_VERSION } from './terrain-generator.js';
+import { ChunkWorkerPool } from './chunk-worker-pool.js';
+import { ChunkCache } from './chunk-cache.js';
+import { ChunkPool } from './chunk-pool.js';
+import { ChunkLoadQueue } from './chunk-load-queue.js';
+import { createWaterMaterial } from './water-material.js';
+import { createTerrainMaterial } from './terrain-material.js';
+import { createVegetationGeometries, createVegetationMaterial, createVegetationMeshes } from './vegetation.js';
+import { createSeededRandom, deriveSeed, normalizeSeed, randomSeed } from '../utils/random.js';
+import { SUN_POSITION } from '../scene.js';
 
 export class HierarchicalTerrainManager {
-  constructor(scene) {
+  constructor(scene, seed = randomSeed()) {
     this.scene = scene;
-    this.macroResolution = 128;      // Resolution of macro (Level A) terrain
-    this.macroSize = 4096;           // World size of macro terrain
+    this.macroResolution = 128;      // Resolution of each macro (Level A) tile
+    this.macroSize = 4096;           // World size of each macro tile
     this.microResolution = 256;      // Resolution of micro (Level B) chunks
     this.microSize = 256;            // World size of each micro chunk
     this.viewDistance = 3;           // How many micro chunks to render in each direction
+    this.maxViewDistance = 16;       // Upper limit for the view distance setting
+    this.unloadMargin = 1.5;         // Chunks unload this many chunks beyond the view distance
+    this.chunkPoolBytes = 128 * 1024 * 1024; // Memory budget for recently unloaded chunks
     this.heightScale = 150;          // Overall height scale
-
+    
     // Multi-scale terrain noise layers
     this.noiseScales = [
       { scale: 0.0005, weight: 0.65, octaves: 4 }, // Macro scale - large landforms
       { scale: 0.002, weight: 0.25, octaves: 3 },  // Medium scale - mountain groups
       { scale: 0.008, weight: 0.1, octaves: 2 }    // Small scale - local features
     ];
-
+    
     // Elevation zones for biome stratification
     this.elevationZones = [
       { threshold: 0.15, name: "water" },
@@ -27,7 +41,7 @@ export class HierarchicalTerrainManager {
       { threshold: 0.8, name: "mountains" },
       { threshold: 1.0, name: "peaks" }
     ];
-
+    
     // Nonlinear height scaling parameters
     this.nonlinearScaling = {
       enabled: true,
@@ -35,9 +49,19 @@ export class HierarchicalTerrainManager {
       inflection: 0.6,    // Point at which the curve accelerates (0-1)
       flatteningFactor: 0.7 // Controls how much low areas are flattened (0-1)
     };
-
+    
+    // Level of detail rings: chunks within `distance` (in chunks) of the player
+    // use `resolution` vertices per side. Coarser chunks are much cheaper to generate.
+    this.lodLevels = [
+      { distance: 1.5, resolution: 256 },
+      { distance: 3, resolution: 128 },
+      { distance: 6, resolution: 64 },
+      { distance: Infinity, resolution: 32 }
+    ];
+    this.skirtDepth = 20;            // How far chunk skirts hang down to hide LOD cracks
+    
     // Terrain data structures
-    this.macroTerrain = null;        // Level A terrain (low resolution, large area)
+    this.macroTerrain = null;        // Level A tile at the origin; further tiles are paged in by the generator
     this.microChunks = new Map();    // Level B chunks (high resolution, small area), key: 'x,z'
     this.chunksContainer = new THREE.Object3D();
     this.scene.add(this.chunksContainer);
@@ -45,104 +69,308 @@ export class HierarchicalTerrainManager {
     // Working state
     this.currentChunk = { x: 0, z: 0 }; // Current chunk player is in
     this.activeProfile = 'appalachian';
-    this.isGenerating = false;
-    this.loadingQueue = [];
+    
+    // Profile regions let one world hold several profiles, blending across region borders.
+    // While enabled they replace the active profile everywhere.
+    this.regions = {
+      enabled: false,
+      profiles: ['hills', 'appalachian', 'rocky'], // Profiles in the order regions follow each other
+      layout: 'bands',   // 'bands' lines regions up along a direction, 'noise' scatters them
+      scale: 8000,       // World size of one region
+      direction: 0,      // Direction bands follow, in radians from +x (east)
+      blend: 0.3,        // Fraction of a region over which it blends into the next
+      placed: []         // Hand-placed regions: { profile, x, z, radius, falloff }
+    };
+    this.travelDirection = { x: 0, z: 0 }; // Normalized direction the player last moved in
+    this.lastPlayerPosition = null;
+    this.viewFrustum = null;         // Camera frustum from the last frame, used to prioritize chunks
+    this.chunkBounds = new THREE.Box3();
     
     // Debug helpers
     this.debugMode = false;
     this.debugMarkers = {};
     
     // Use a seeded noise for deterministic generation
-    this.seed = Math.random() * 10000; // Global seed for the world
-    this.createNoiseGenerators();
+    this.seed = normalizeSeed(seed); // Global seed for the world
     
     // Water level for more consistent water across chunks
     this.waterLevel = 1; 
+    
+    // Rivers traced from the macro terrain and carved into the micro chunks
+    this.rivers = {
+      enabled: true,
+      threshold: 400,    // Macro cells that must drain through a cell for a river to form
+      minWidth: 4,       // River width at its source
+      maxWidth: 40,      // River width far downstream
+      depth: 0.15,       // Channel depth as a fraction of the river width
+      maxDepth: 5,
+      bankWidth: 1       // Width of the sloped banks as a fraction of the river width
+    };
+    
+    // Lakes fill the basins of the macro terrain up to the point where they overflow
+    this.lakes = {
+      enabled: true,
+      minCells: 8,       // Smallest basin, in macro cells, that holds a lake
+      minDepth: 2        // Shallowest basin (deepest point, in macro height) that holds a lake
+    };
+    
+    // Landform stamps laid onto the terrain: volcanoes, mesas, canyons, impact craters and
+    // glacial valleys, scattered by biome and placed by hand
+    this.stamps = {
+      enabled: true,
+      procedural: true,  // Scatter stamps procedurally
+      density: 6,        // Procedural candidates per macro tile; the biome at each decides if it becomes a stamp
+      placed: []         // Hand-placed stamps: { id, type, x, z, ... } or { id, type, points: [{ x, z }], ... }
+    };
+    this.nextStampId = 1;
+    
+    // Every chunk with water below its surface gets an animated water mesh over it
+    this.waterContainer = new THREE.Object3D();
+    this.scene.add(this.waterContainer);
+    this.waterMaterial = createWaterMaterial();
+    
+    // Climate decides the biome: temperature falls with altitude and varies by region,
+    // moisture comes from nearby water and the rain shadow of higher ground upwind
+    this.climate = {
+      latitudeScale: 12000,   // World distance between warm and cold bands
+      lapseRate: 0.6,         // Temperature drop from the water level to the highest macro terrain
+      moistureScale: 8000,    // Size of regions that are wetter or drier than others
+      waterReach: 300,        // Distance over which seas, lakes and rivers moisten the land
+      windDirection: 0,       // Direction the prevailing wind blows towards, in radians from +x
+      rainShadow: 1.0,        // How strongly higher ground upwind dries the land behind it
+      rainShadowDistances: [300, 800, 1600] // Upwind distances checked for higher ground
+    };
+    
+    // Plants are scattered over nearby chunks according to their biomes
+    this.vegetation = {
+      enabled: true,
+      density: 1,             // Multiplier of every biome's plant density
+      minResolution: 128,     // Coarser chunks are too far away to show plants
+      maxSlope: 0.8           // Steepest ground (rise over run) plants grow on
+    };
+    this.vegetationGeometries = createVegetationGeometries();
+    this.vegetationMaterial = createVegetationMaterial();
+    
+    // Faces steeper than the cliff angle are drawn as rock and get extra triangles
+    this.cliffs = {
+      enabled: true,
+      angle: 50,              // Slope (degrees) at which ground turns into cliff
+      blend: 12,              // Range of slopes (degrees) over which ground fades into cliff
+      subdivisions: 2         // Each grid cell on a cliff is split into subdivisions × subdivisions quads
+    };
+    this.terrainMaterial = createTerrainMaterial();
+    
+    // Snow lies above a snow line at the same altitude everywhere, further down on slopes facing
+    // away from the sun, and glaciers fill the bowls high in the mountains. Heights are fractions
+    // of the relief above the water level.
+    this.snow = {
+      enabled: true,
+      line: 0.6,              // Snow line on flat ground
+      transition: 0.12,       // Height over which snow thickens into full cover
+      aspectShift: 0.15,      // How far the snow line moves between sunny and shaded slopes
+      maxSlope: 45,           // Steepest slope (degrees) that holds snow
+      maxDepth: 1.5,          // Depth of snow (metres) well above the snow line
+      glaciers: true,
+      glacierLine: 0.55,      // Height above which bowls fill with ice
+      cirqueRadius: 128,      // Radius (metres) of the bowls glaciers fill
+      glacierFill: 0.8,       // How far (0-1) ice fills a bowl towards the top of its walls
+      sunDirection: SUN_POSITION.clone().normalize().toArray()
+    };
+    
+    // Generation pipeline, rebuilt from a settings snapshot whenever the world changes
+    this.generator = null;
+    this.terrainVersion = 0;
+    this.chunkIndices = new Map();   // Resolution -> triangle index shared by all chunks at that LOD
+    
+    // Chunk data is generated in Web Workers when available, otherwise on the main thread
+    this.workerPool = ChunkWorkerPool.isSupported() ? new ChunkWorkerPool() : null;
+    
+    // Generated chunks are kept on disk so revisited areas load instead of regenerating
+    this.chunkCache = ChunkCache.isSupported() ? new ChunkCache() : null;
+    this.cacheWorldKey = null;       // Identifies the current world in chunk cache keys
+    
+    // Recently unloaded chunks stay in memory, up to a budget, in case the player turns back
+    this.chunkPool = new ChunkPool(this.chunkPoolBytes, chunk => this.disposeChunk(chunk));
+    
+    // Chunks load most important first, with a limit on main-thread work per frame
+    this.chunkFrameBudget = 4;       // Milliseconds per frame spent adding chunks to the scene
+    this.loadQueue = new ChunkLoadQueue({
+      generate: request => this.generateChunkData(request.chunkX, request.chunkZ, request.resolution),
+      integrate: (request, chunkData) => this.integrateChunk(request, chunkData),
+      reuse: request => this.reuseChunk(request),
+      getPriority: request => this.getChunkPriority(request),
+      maxInFlight: this.workerPool ? this.workerPool.workers.length * 2 : 1,
+      frameBudget: this.chunkFrameBudget
+    });
   }
   
-  // Create noise generators for different scales
-  createNoiseGenerators() {
-    this.noiseGenerators = [];
-    for (let i = 0; i < this.noiseScales.length; i++) {
-      this.noiseGenerators.push(createNoise2D());
-    }
-    // Additional noise for detail variations
-    this.detailNoise = createNoise2D();
+  // Create a random generator for a named subsystem, derived from the world seed
+  createRandom(...parts) {
+    return createSeededRandom(deriveSeed(this.seed, ...parts));
   }
-
+  
   // Initialize the terrain system
-  async initialize(profileName = 'appalachian') {
+  async initialize(profileName = 'appalachian', startX = 0, startZ = 0) {
     this.activeProfile = profileName;
     
     // First generate the macro (Level A) terrain
     await this.generateMacroTerrain();
     
-    // Then generate the initial micro (Level B) chunks around the origin
-    await this.generateInitialChunks(0, 0);
+    // Then generate the initial micro (Level B) chunks around the start position
+    await this.generateInitialChunks(startX, startZ);
     
     return this;
   }
   
+  // Snapshot of everything the generator needs, in a form that can be sent to workers
+  getGeneratorSettings() {
+    return {
+      seed: this.seed,
+      profileParams: { ...getProfile(this.activeProfile).params },
+      regions: {
+        ...this.regions,
+        profiles: this.regions.profiles.map(name => this.resolveRegionProfile(name)),
+        placed: this.regions.placed.map(region => ({ ...region, profile: this.resolveRegionProfile(region.profile) }))
+      },
+      heightScale: this.heightScale,
+      noiseScales: this.noiseScales.map(scale => ({ ...scale })),
+      elevationZones: this.elevationZones.map(zone => ({ ...zone })),
+      nonlinearScaling: { ...this.nonlinearScaling },
+      waterLevel: this.waterLevel,
+      rivers: { ...this.rivers },
+      lakes: { ...this.lakes },
+      stamps: {
+        ...this.stamps,
+        placed: this.stamps.placed.map(stamp => ({ ...stamp, points: stamp.points && stamp.points.map(p => ({ ...p })) }))
+      },
+      climate: { ...this.climate, rainShadowDistances: [...this.climate.rainShadowDistances] },
+      vegetation: { ...this.vegetation },
+      cliffs: { ...this.cliffs },
+      snow: { ...this.snow, sunDirection: [...this.snow.sunDirection] },
+      macroResolution: this.macroResolution,
+      macroSize: this.macroSize,
+      microResolution: this.microResolution,
+      microSize: this.microSize,
+      skirtDepth: this.skirtDepth
+    };
+  }
+  
+  // A region's profile by name, copied so it can be sent to workers
+  resolveRegionProfile(profileName) {
+    const { name, params } = getProfile(profileName);
+    return { name, params: { ...params } };
+  }
+  
   // Generate the macro (Level A) terrain
   async generateMacroTerrain() {
-    const profile = getProfile(this.activeProfile);
-    
-    // Create a low-resolution heightmap for the entire macro terrain
-    const heightMap = new Float32Array(this.macroResolution * this.macroResolution);
-    const cellSize = this.macroSize / this.macroResolution;
+    // Rebuild the generator so it picks up the current seed, profile and settings
+    const settings = this.getGeneratorSettings();
+    const generator = new TerrainGenerator(settings);
     
     // Use a promise to allow for async generation
     return new Promise(resolve => {
       // Allow UI to update by using setTimeout with 0 delay
       setTimeout(() => {
-        // Generate macro terrain using multi-scale composition
-        for (let z = 0; z < this.macroResolution; z++) {
-          for (let x = 0; x < this.macroResolution; x++) {
-            const worldX = (x - this.macroResolution / 2) * cellSize;
-            const worldZ = (z - this.macroResolution / 2) * cellSize;
-            
-            // Use multi-scale composition for more realistic landforms
-            heightMap[z * this.macroResolution + x] = this.generateMultiScaleHeight(
-              worldX, worldZ, profile.params
-            );
-          }
-        }
+        const macroTerrain = generator.generateMacroTerrain();
+        
+        // Switch to the new world in one step; chunks started before this are discarded
+        this.generator = generator;
+        this.macroTerrain = macroTerrain;
+        this.terrainVersion++;
+        this.cacheWorldKey = ChunkCache.createWorldKey(settings, this.activeProfile, GENERATOR_VERSION);
         
-        // Store the macro terrain
-        this.macroTerrain = {
-          heightMap,
-          size: this.macroSize,
-          resolution: this.macroResolution,
-          cellSize
-        };
+        // Workers need the same settings and macro terrain to produce identical chunks
+        if (this.workerPool) {
+          this.workerPool.configure(settings, macroTerrain);
+        }
         
         resolve();
       }, 0);
     });
   }
   
-  // Change the active terrain profile
+  // Change the active terrain profile; the whole world uses it, so profile regions are turned off
   async changeProfile(profileName) {
+    // The world seed is kept, so a seed and profile pair always produces the same terrain
     this.activeProfile = profileName;
-    
-    // Generate a new seed for this profile
-    this.seed = Math.random() * 10000;
-    
-    // Recreate noise generators for consistent generation
-    this.createNoiseGenerators();
-    
-    // Clear all existing chunks
-    for (const key of this.microChunks.keys()) {
-      this.unloadChunk(key);
-    }
+    this.regions.enabled = false;
     
     // Regenerate macro terrain
     await this.generateMacroTerrain();
     
+    // Clear all existing chunks
+    this.unloadAllChunks();
+    
     // Regenerate visible chunks
     await this.generateChunksAroundPosition(this.currentChunk.x, this.currentChunk.z);
   }
   
+  // Lay out profile regions across the world, e.g. { profiles: ['hills', 'rocky'], layout: 'noise' }.
+  // Options not given keep their current values; regions are enabled unless told otherwise.
+  async setProfileRegions(options = {}) {
+    this.regions = {
+      ...this.regions,
+      ...options,
+      enabled: options.enabled ?? true,
+      profiles: [...(options.profiles || this.regions.profiles)],
+      placed: [...(options.placed || this.regions.placed)]
+    };
+    
+    if (this.regions.profiles.length === 0) {
+      throw new Error('Profile regions need at least one profile');
+    }
+    
+    await this.regenerateTerrain();
+  }
+  
+  // Place a region of one profile by hand: { profile, x, z, radius, falloff }. It covers a disc
+  // and fades into the surrounding regions over the falloff distance.
+  async addProfileRegion({ profile, x, z, radius = 1000, falloff = 500 }) {
+    await this.setProfileRegions({ placed: [...this.regions.placed, { profile, x, z, radius, falloff }] });
+  }
+  
+  // Remove every hand-placed region
+  async clearProfileRegions() {
+    await this.setProfileRegions({ placed: [] });
+  }
+  
+  // Change how stamps are scattered, e.g. { procedural: false } or { density: 12 }.
+  // Options not given keep their current values.
+  async setStamps(options = {}) {
+    this.stamps = { ...this.stamps, ...options, placed: [...(options.placed || this.stamps.placed)] };
+    await this.regenerateTerrain();
+  }
+  
+  // Place a stamp by hand, e.g. { type: 'volcano', x, z, radius, height } or
+  // { type: 'canyon', points: [{ x, z }, ...], width, depth }; see StampTypes for the sizes each
+  // type takes. Returns the stamp's id.
+  async addStamp(options) {
+    // Fail here rather than in the generator; mesas without a top stand on the terrain
+    createStamp({ baseHeight: 0, ...options });
+    
+    const id = this.nextStampId++;
+    await this.setStamps({ placed: [...this.stamps.placed, { ...options, id }] });
+    return id;
+  }
+  
+  // Remove a hand-placed stamp by id
+  async removeStamp(id) {
+    await this.setStamps({ placed: this.stamps.placed.filter(stamp => stamp.id !== id) });
+  }
+  
+  // Remove every hand-placed stamp
+  async clearStamps() {
+    await this.setStamps({ placed: [] });
+  }
+  
+  // Change the world seed and rebuild the terrain from it
+  async setSeed(seed) {
+    this.seed = normalizeSeed(seed);
+    
+    // The generator is rebuilt from the new seed during regeneration
+    await this.regenerateTerrain();
+  }
+  
   // Set the nonlinear scaling parameters
   setNonlinearScaling(enabled, exponent = 2.2, inflection = 0.6, flatteningFactor = 0.7) {
     this.nonlinearScaling = {
@@ -163,30 +391,25 @@ export class HierarchicalTerrainManager {
     await this.generateMacroTerrain();
     
     // Clear all chunks
-    for (const key of this.microChunks.keys()) {
-      this.unloadChunk(key);
-    }
+    this.unloadAllChunks();
     
     // Regenerate visible chunks
     await this.generateChunksAroundPosition(this.currentChunk.x, this.currentChunk.z);
   }
-
-  // Unload a chunk by key
-unloadChunk(key) {
+  
+  // Unload a chunk by key. Unless told otherwise, it is kept in the chunk pool for reuse.
+unloadChunk(key, keepInPool = true) {
   const chunk = this.microChunks.get(key);
   if (!chunk) return;
   
   // Remove from scene
   this.chunksContainer.remove(chunk.mesh);
+  if (chunk.waterMesh) this.waterContainer.remove(chunk.waterMesh);
   
-  // Dispose of geometry and materials
-  if (chunk.mesh.geometry) chunk.mesh.geometry.dispose();
-  if (chunk.mesh.material) {
-    if (Array.isArray(chunk.mesh.material)) {
-      chunk.mesh.material.forEach(m => m.dispose());
-    } else {
-      chunk.mesh.material.dispose();
-    }
+  if (keepInPool) {
+    this.chunkPool.add(key, chunk);
+  } else {
+    this.disposeChunk(chunk);
   }
   
   // Remove debug marker if present
@@ -204,789 +427,401 @@ unloadChunk(key) {
   this.microChunks.delete(key);
 }
 
-  // Generate height using multi-scale composition
-  generateMultiScaleHeight(worldX, worldZ, profileParams) {
-    let totalHeight = 0;
-    let totalWeight = 0;
-    
-    // Apply noise at each scale
-    for (let i = 0; i < this.noiseScales.length; i++) {
-      const scale = this.noiseScales[i];
-      const nx = worldX * scale.scale + this.seed;
-      const nz = worldZ * scale.scale + this.seed;
-      
-      // Adjust parameters based on scale
-      const scaleParams = {...profileParams};
-      scaleParams.octaves = Math.min(profileParams.octaves, scale.octaves);
-      
-      // Generate height for this scale
-      const heightAtScale = this.generateHeightValue(
-        nx, nz, this.noiseGenerators[i], scaleParams, this.heightScale
-      );
-      
-      // Add weighted contribution
-      totalHeight += heightAtScale * scale.weight;
-      totalWeight += scale.weight;
-    }
-    
-    // Normalize by total weight
-    const normalizedHeight = totalHeight / totalWeight;
-    
-    // Apply nonlinear scaling to exaggerate peaks
-    return this.applyNonlinearScaling(normalizedHeight, profileParams);
-  }
-  
-  // Apply nonlinear scaling to the height value to exaggerate peaks
-  applyNonlinearScaling(height, profileParams) {
-    if (!this.nonlinearScaling.enabled) return height;
-    
-    // Normalize height to 0-1 range (based on max expected height)
-    const maxExpectedHeight = this.heightScale * 1.2; // Allow some headroom
-    const normalizedHeight = height / maxExpectedHeight;
-    
-    // Apply sigmoid-like function to exaggerate high areas (mountain peaks)
-    // and potentially flatten low areas
-    const { exponent, inflection, flatteningFactor } = this.nonlinearScaling;
-    
-    let scaledHeight;
-    if (normalizedHeight < inflection) {
-      // Below inflection point - can be flattened
-      scaledHeight = normalizedHeight * flatteningFactor / inflection;
-    } else {
-      // Above inflection point - exaggerate based on exponent
-      const t = (normalizedHeight - inflection) / (1.0 - inflection);
-      const exaggeration = Math.pow(t, exponent);
-      scaledHeight = flatteningFactor + (1.0 - flatteningFactor) * exaggeration;
-    }
-    
-    // Scale back to original range
-    return scaledHeight * maxExpectedHeight;
-  }
-  
-  // Generate a single height value using FBM noise
-  generateHeightValue(nx, nz, noise2D, params, heightScale) {
-    const {
-      octaves = 6,
-      persistence = 0.5,
-      lacunarity = 2.0,
-      initialFrequency = 1.0,
-      ridge = 0.8,
-      exponent = 2.0
-    } = params;
-    
-    let amplitude = 1.0;
-    let frequency = initialFrequency;
-    let noiseHeight = 0;
-    let normalization = 0;
-    
-    // Sum multiple octaves of noise
-    for (let o = 0; o < octaves; o++) {
-      const sampleX = nx * frequency;
-      const sampleZ = nz * frequency;
-      
-      // Ridge noise transformation
-      let noiseValue = Math.abs(noise2D(sampleX, sampleZ));
-      noiseValue = ridge - noiseValue;
-      noiseValue = noiseValue * noiseValue;
-      
-      noiseHeight += noiseValue * amplitude;
-      normalization += amplitude;
-      
-      amplitude *= persistence;
-      frequency *= lacunarity;
-    }
-    
-    // Normalize and apply transformations
-    noiseHeight /= normalization;
-    noiseHeight = Math.pow(noiseHeight, exponent);
-    noiseHeight *= heightScale;
-    
-    return noiseHeight;
-  }
-  
-  // Get the macro height at a given position
-  getMacroHeight(worldX, worldZ) {
-    if (!this.macroTerrain) return 0;
-    
-    const { resolution, size, heightMap } = this.macroTerrain;
-    
-    // Convert world coordinates to grid indices
-    const halfSize = size / 2;
-    const x = Math.floor((worldX + halfSize) / size * resolution);
-    const z = Math.floor((worldZ + halfSize) / size * resolution);
-    
-    // Check bounds
-    if (x < 0 || x >= resolution || z < 0 || z >= resolution) {
-      // For positions outside the macro terrain, generate height on-the-fly
-      const profile = getProfile(this.activeProfile);
-      return this.generateMultiScaleHeight(worldX, worldZ, profile.params);
-    }
-    
-    return heightMap[z * resolution + x];
+// Unload every chunk for good; pooled chunks belong to the old world and are dropped too
+unloadAllChunks() {
+  for (const key of [...this.microChunks.keys()]) {
+    this.unloadChunk(key, false);
   }
+  this.chunkPool.clear();
+}
+
+// Dispose of a chunk's geometry
+disposeChunk(chunk) {
+  if (chunk.mesh.geometry) chunk.mesh.geometry.dispose();
   
-  // Get the macro height at any position with bilinear interpolation for smoothness
-  getInterpolatedMacroHeight(worldX, worldZ) {
-    if (!this.macroTerrain) return 0;
-    
-    const { resolution, size, heightMap } = this.macroTerrain;
-    const halfSize = size / 2;
-    
-    // Convert to normalized coordinates (0 to 1 across the terrain)
-    const nx = (worldX + halfSize) / size;
-    const nz = (worldZ + halfSize) / size;
-    
-    // Scale to array indices
-    const fx = nx * (resolution - 1);
-    const fz = nz * (resolution - 1);
-    
-    // Get integer and fractional parts
-    const ix = Math.floor(fx);
-    const iz = Math.floor(fz);
-    const fractX = fx - ix;
-    const fractZ = fz - iz;
-    
-    // Check bounds for all four points
-    const validIndices = 
-      ix >= 0 && ix < resolution - 1 && 
-      iz >= 0 && iz < resolution - 1;
-    
-    if (!validIndices) {
-      // For positions outside or on the edge of the macro terrain, fall back to direct generation
-      const profile = getProfile(this.activeProfile);
-      return this.generateMultiScaleHeight(worldX, worldZ, profile.params);
-    }
-    
-    // Get the four surrounding heights
-    const h00 = heightMap[iz * resolution + ix];
-    const h10 = heightMap[iz * resolution + (ix + 1)];
-    const h01 = heightMap[(iz + 1) * resolution + ix];
-    const h11 = heightMap[(iz + 1) * resolution + (ix + 1)];
-    
-    // Bilinear interpolation
-    const h0 = h00 * (1 - fractX) + h10 * fractX;
-    const h1 = h01 * (1 - fractX) + h11 * fractX;
-    
-    return h0 * (1 - fractZ) + h1 * fractZ;
-  }
+  // The terrain, water and plant materials and the plant geometries are shared, so only the
+  // chunk's own buffers go
+  if (chunk.waterMesh) chunk.waterMesh.geometry.dispose();
+  chunk.vegetationMeshes.forEach(vegetationMesh => vegetationMesh.dispose());
+}
   
   // Generate initial micro chunks around a position
   async generateInitialChunks(centerX, centerZ) {
     // Calculate which chunk this position belongs to
     this.currentChunk = {
-      x: Math.floor(centerX / this.microSize),
-      z: Math.floor(centerZ / this.microSize)
+      x: this.getChunkCoordinate(centerX),
+      z: this.getChunkCoordinate(centerZ)
     };
     
     await this.generateChunksAroundPosition(this.currentChunk.x, this.currentChunk.z);
   }
   
-  // Generate micro chunks around a position
-  async generateChunksAroundPosition(chunkX, chunkZ) {
-    if (this.isGenerating) {
-      // If already generating, queue this request for later
-      this.loadingQueue.push({ x: chunkX, z: chunkZ });
-      return;
-    }
-    
-    this.isGenerating = true;
-    
-    // Calculate which chunks should be visible
-    const desiredChunks = new Set();
+  // Queue the micro chunks around a position; resolves once they have all loaded
+  generateChunksAroundPosition(chunkX, chunkZ) {
+    // Calculate which chunks should be visible, and at which level of detail
+    const desiredChunks = new Map();
     
     for (let z = chunkZ - this.viewDistance; z <= chunkZ + this.viewDistance; z++) {
       for (let x = chunkX - this.viewDistance; x <= chunkX + this.viewDistance; x++) {
         // Skip chunks that are too far based on circular distance
         const distSq = (x - chunkX) * (x - chunkX) + (z - chunkZ) * (z - chunkZ);
         if (distSq <= this.viewDistance * this.viewDistance) {
-          desiredChunks.add(`${x},${z}`);
+          desiredChunks.set(`${x},${z}`, this.getLodResolution(Math.sqrt(distSq)));
         }
       }
     }
     
-    // Remove chunks that are no longer needed
+    // Remove chunks that are no longer needed. Chunks unload further out than they load,
+    // so moving back and forth across a chunk border doesn't unload and reload the same chunks.
+    const unloadDistance = this.viewDistance + this.unloadMargin;
     const chunksToRemove = [];
-    for (const key of this.microChunks.keys()) {
-      if (!desiredChunks.has(key)) {
+    for (const [key, chunk] of this.microChunks) {
+      const x = Math.round(chunk.worldX / this.microSize);
+      const z = Math.round(chunk.worldZ / this.microSize);
+      const distSq = (x - chunkX) * (x - chunkX) + (z - chunkZ) * (z - chunkZ);
+      if (!desiredChunks.has(key) && distSq > unloadDistance * unloadDistance) {
         chunksToRemove.push(key);
       }
     }
     
     chunksToRemove.forEach(key => this.unloadChunk(key));
     
-    // Generate new chunks that are needed
-    const chunkPromises = [];
+    // Request new chunks that are needed, and rebuilds of chunks whose level of detail changed.
+    // Anything still queued from the previous position and no longer needed is cancelled.
+    const requests = [];
     
-    for (const key of desiredChunks) {
-      if (!this.microChunks.has(key)) {
+    for (const [key, resolution] of desiredChunks) {
+      const chunk = this.microChunks.get(key);
+      if (!chunk || chunk.resolution !== resolution) {
         const [x, z] = key.split(',').map(Number);
-        chunkPromises.push(this.generateMicroChunk(x, z));
+        requests.push({ key, chunkX: x, chunkZ: z, resolution, version: this.terrainVersion });
       }
     }
     
-    // Wait for all chunks to generate
-    await Promise.all(chunkPromises);
-    
-    // Process next item in queue if any
-    this.isGenerating = false;
-    if (this.loadingQueue.length > 0) {
-      const next = this.loadingQueue.shift();
-      this.generateChunksAroundPosition(next.x, next.z);
-    }
+    this.loadQueue.setRequests(requests);
+    return this.loadQueue.whenIdle();
   }
   
-  // Generate a single micro chunk at the specified coordinates
-  async generateMicroChunk(chunkX, chunkZ) {
-    const key = `${chunkX},${chunkZ}`;
-    if (this.microChunks.has(key)) return this.microChunks.get(key);
+  // Loading order: the player's chunk, then chunks in view or ahead of the player, then the rest.
+  // Lower values load first.
+  getChunkPriority(request) {
+    const dx = request.chunkX - this.currentChunk.x;
+    const dz = request.chunkZ - this.currentChunk.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    if (distance === 0) return 0;
+    
+    const ahead = (dx * this.travelDirection.x + dz * this.travelDirection.z) / distance > 0.5;
+    const tier = ahead || this.isChunkInView(request.chunkX, request.chunkZ) ? 1 : 2;
+    
+    return tier * 1000 + distance;
+  }
+  
+  // Check whether a chunk's bounds intersect the camera frustum
+  isChunkInView(chunkX, chunkZ) {
+    if (!this.viewFrustum) return false;
     
-    // Calculate world position of chunk
-    const worldX = chunkX * this.microSize;
-    const worldZ = chunkZ * this.microSize;
+    const halfSize = this.microSize / 2;
+    this.chunkBounds.min.set(chunkX * this.microSize - halfSize, -this.skirtDepth, chunkZ * this.microSize - halfSize);
+    this.chunkBounds.max.set(chunkX * this.microSize + halfSize, this.heightScale * 1.2, chunkZ * this.microSize + halfSize);
     
-    // Use a promise to allow for async generation
-    return new Promise(resolve => {
-      setTimeout(() => {
-        // Generate heightmap for this chunk, based on macro data
-        const heightMap = this.generateMicroHeightMap(chunkX, chunkZ, worldX, worldZ);
-        
-        // Create chunk mesh
-        const chunk = this.createChunkMesh(heightMap, worldX, worldZ);
-        
-        // Add to scene and store in map
-        this.chunksContainer.add(chunk.mesh);
-        this.microChunks.set(key, chunk);
-        
-        if (this.debugMode) {
-          this.addDebugMarker(chunkX, chunkZ);
-        }
-        
-        resolve(chunk);
-      }, 0);
-    });
+    return this.viewFrustum.intersectsBox(this.chunkBounds);
   }
   
-  // Generate a micro heightmap for a chunk, using elevation-dependent parameters
-  generateMicroHeightMap(chunkX, chunkZ, worldX, worldZ) {
-    const profile = getProfile(this.activeProfile);
-    const heightMap = new Float32Array(this.microResolution * this.microResolution);
-    
-    // Calculate bounds of this chunk with additional overlap to sample
-    const halfChunkSize = this.microSize / 2;
-    const chunkMinX = worldX - halfChunkSize;
-    const chunkMinZ = worldZ - halfChunkSize;
-    const cellSize = this.microSize / this.microResolution;
-    
-    // Calculate a unique seed for this chunk (for consistent generation)
-    const chunkSeed = (chunkX * 73856093) ^ (chunkZ * 19349663);
-    const detailSeed = this.seed + chunkSeed;
-    
-    // Get min/max heights from macro terrain for this chunk to help with normalization
-    let macroMinHeight = Infinity;
-    let macroMaxHeight = -Infinity;
-    
-    // Sample the macro terrain at a higher resolution grid (for smoother interpolation)
-    const sampleResolution = 17; // 17x17 grid of samples
-    const macroSamples = new Array(sampleResolution * sampleResolution);
-    
-    for (let sz = 0; sz < sampleResolution; sz++) {
-      for (let sx = 0; sx < sampleResolution; sx++) {
-        // Calculate normalized position within the chunk (-1 to 1)
-        const normalizedX = (sx / (sampleResolution - 1)) * 2 - 1;
-        const normalizedZ = (sz / (sampleResolution - 1)) * 2 - 1;
-        
-        // Calculate world position with an expanded boundary (1.2x size for better transitions)
-        const sampleWorldX = worldX + normalizedX * halfChunkSize * 1.2;
-        const sampleWorldZ = worldZ + normalizedZ * halfChunkSize * 1.2;
-        
-        // Get interpolated height from macro terrain
-        const height = this.getInterpolatedMacroHeight(sampleWorldX, sampleWorldZ);
-        
-        // Store sample
-        macroSamples[sz * sampleResolution + sx] = height;
-        
-        // Track min/max for normalization
-        macroMinHeight = Math.min(macroMinHeight, height);
-        macroMaxHeight = Math.max(macroMaxHeight, height);
-      }
-    }
-    
-    // Loop through all vertices in the micro heightmap
-    for (let z = 0; z < this.microResolution; z++) {
-      for (let x = 0; x < this.microResolution; x++) {
-        // Convert to world coordinates
-        const vertexWorldX = chunkMinX + x * cellSize;
-        const vertexWorldZ = chunkMinZ + z * cellSize;
-        
-        // Normalize coordinates within the chunk (-1 to 1)
-        const normalizedX = (x / (this.microResolution - 1)) * 2 - 1;
-        const normalizedZ = (z / (this.microResolution - 1)) * 2 - 1;
-        
-        // Get base height from macro terrain using bilinear interpolation
-        // Map from -1,1 to sample coordinates
-        const sampleX = ((normalizedX + 1) / 2) * (sampleResolution - 1);
-        const sampleZ = ((normalizedZ + 1) / 2) * (sampleResolution - 1);
-        
-        const sampleX0 = Math.floor(sampleX);
-        const sampleZ0 = Math.floor(sampleZ);
-        const sampleX1 = Math.min(sampleX0 + 1, sampleResolution - 1);
-        const sampleZ1 = Math.min(sampleZ0 + 1, sampleResolution - 1);
-        
-        const fractX = sampleX - sampleX0;
-        const fractZ = sampleZ - sampleZ0;
-        
-        const s00 = macroSamples[sampleZ0 * sampleResolution + sampleX0];
-        const s10 = macroSamples[sampleZ0 * sampleResolution + sampleX1];
-        const s01 = macroSamples[sampleZ1 * sampleResolution + sampleX0];
-        const s11 = macroSamples[sampleZ1 * sampleResolution + sampleX1];
-        
-        const s0 = s00 * (1 - fractX) + s10 * fractX;
-        const s1 = s01 * (1 - fractX) + s11 * fractX;
-        
-        const baseHeight = s0 * (1 - fractZ) + s1 * fractZ;
-        
-        // Calculate blend factor - more macro influence at edges
-        let blendFactor = 0.8; // 80% macro by default
-        
-        // Add more macro influence at the edges for smoother transitions
-        const edgeDistance = Math.min(
-          Math.min(Math.abs(normalizedX + 1), Math.abs(normalizedX - 1)),
-          Math.min(Math.abs(normalizedZ + 1), Math.abs(normalizedZ - 1))
-        );
-        
-        if (edgeDistance < 0.1) {
-          // Increase macro influence at edges
-          blendFactor = 0.8 + (0.1 - edgeDistance) / 0.1 * 0.2; // up to 100% macro at very edge
-        }
-        
-        // Determine which elevation zone this point belongs to
-        const normalizedMacroHeight = (baseHeight - macroMinHeight) / 
-                                      (macroMaxHeight - macroMinHeight || 1);
-        
-        const elevationZone = this.getElevationZone(normalizedMacroHeight);
-        
-        // Add detail using elevation-dependent noise params
-        const detailParams = this.getDetailParamsForElevation(elevationZone, profile.params);
-        
-        // Scale coordinates for detail noise (higher frequency)
-        const nx = vertexWorldX * 0.02 + detailSeed;
-        const nz = vertexWorldZ * 0.02 + detailSeed;
-        
-        // Calculate detail noise with zone-appropriate parameters
-        const detailHeight = this.generateHeightValue(
-          nx, nz, this.detailNoise, detailParams, 
-          this.heightScale * detailParams.detailScale
-        );
-        
-        // Calculate slope for detail attenuation
-        const slopeFactor = this.calculateMacroSlope(vertexWorldX, vertexWorldZ);
-        const slopeAttenuationFactor = Math.max(0.2, 1 - slopeFactor * 3); // More attenuation on steep slopes
-        
-        // Combine macro and detail with weight
-        const finalHeight = baseHeight * blendFactor + 
-                          detailHeight * slopeAttenuationFactor * (1 - blendFactor);
-        
-        // Store in heightmap
-        heightMap[z * this.microResolution + x] = finalHeight;
-      }
+  // Remember the camera frustum so chunks in view load first
+  updateView(camera) {
+    if (!this.viewFrustum) {
+      this.viewFrustum = new THREE.Frustum();
     }
     
-    // Apply post-processing to the heightmap
-    this.applyHeightmapPostProcessing(heightMap, this.microResolution);
-    
-    return heightMap;
+    camera.updateMatrixWorld();
+    this.viewFrustum.setFromProjectionMatrix(
+      new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+    );
   }
   
-  // Determine which elevation zone a point belongs to
-  getElevationZone(normalizedHeight) {
-    for (const zone of this.elevationZones) {
-      if (normalizedHeight <= zone.threshold) {
-        return zone.name;
+  // Pick the chunk resolution for a distance (in chunks) from the player
+  getLodResolution(distance) {
+    for (const level of this.lodLevels) {
+      if (distance <= level.distance) {
+        return level.resolution;
       }
     }
-    return "peaks"; // Default to peaks if above all thresholds
+    return this.lodLevels[this.lodLevels.length - 1].resolution;
   }
   
-  // Get detail noise parameters appropriate for each elevation zone
-  getDetailParamsForElevation(zoneName, baseParams) {
-    // Create a copy of the base parameters
-    const params = {...baseParams};
-    
-    switch (zoneName) {
-      case "water":
-        // Very subtle, smooth variation for water
-        params.detailScale = 0.02;
-        params.persistence = 0.3;
-        params.lacunarity = 1.8;
-        params.octaves = 2;
-        params.exponent = 1.0;
-        break;
-        
-      case "lowlands":
-        // Gentle rolling hills, more rounded
-        params.detailScale = 0.1;
-        params.persistence = 0.4;
-        params.lacunarity = 1.9;
-        params.octaves = 3;
-        params.exponent = 1.5;
-        break;
-        
-      case "foothills":
-        // More varied terrain, medium detail
-        params.detailScale = 0.15;
-        params.persistence = 0.5;
-        params.lacunarity = 2.0;
-        params.octaves = 4;
-        params.exponent = 1.8;
-        break;
-        
-      case "mountains":
-        // Rugged terrain with sharper features
-        params.detailScale = 0.2;
-        params.persistence = 0.55;
-        params.lacunarity = 2.2;
-        params.octaves = 4;
-        params.exponent = 2.0;
-        break;
-        
-      case "peaks":
-        // Jagged peaks with dramatic details
-        params.detailScale = 0.25;
-        params.persistence = 0.6;
-        params.lacunarity = 2.5;
-        params.octaves = 3; // Less octaves for more dramatic shapes
-        params.exponent = 2.3;
-        break;
-        
-      default:
-        // Default parameters
-        params.detailScale = 0.2;
-    }
+  // Restore a requested chunk from the in-memory pool; returns false if it must be generated
+  reuseChunk(request) {
+    const pooled = this.chunkPool.take(request.key, request.resolution);
+    if (!pooled) return false;
     
-    return params;
+    this.addChunk(request.key, pooled);
+    return true;
   }
   
-  // Apply post-processing to heightmap for smoother terrain and consistent water
-  applyHeightmapPostProcessing(heightMap, resolution) {
-    // First, find min/max heights
-    let minHeight = Infinity, maxHeight = -Infinity;
-    for (let i = 0; i < heightMap.length; i++) {
-      minHeight = Math.min(minHeight, heightMap[i]);
-      maxHeight = Math.max(maxHeight, heightMap[i]);
+  // Build the mesh for generated chunk data and add it to the scene
+  integrateChunk(request, chunkData) {
+    // Drop results for a world that was regenerated while this chunk was in flight
+    const current = this.microChunks.get(request.key);
+    if (request.version !== this.terrainVersion || (current && current.resolution === request.resolution)) {
+      return current || null;
     }
     
-    // Apply consistent water level
-    for (let i = 0; i < heightMap.length; i++) {
-      if (heightMap[i] < this.waterLevel) {
-        // Make all water areas flat at the water level
-        heightMap[i] = this.waterLevel;
-      }
+    // Create chunk mesh
+    const worldX = request.chunkX * this.microSize;
+    const worldZ = request.chunkZ * this.microSize;
+    const chunk = this.createChunkMesh(chunkData, worldX, worldZ, request.resolution);
+    
+    this.addChunk(request.key, chunk);
+    return chunk;
+  }
+  
+  // Add a chunk to the scene, replacing any chunk with the same key
+  addChunk(key, chunk) {
+    // A chunk at another level of detail is only swapped out once its replacement is ready
+    if (this.microChunks.has(key)) {
+      this.unloadChunk(key);
     }
     
-    // Apply smoothing to reduce artifacts and make terrain more natural
-    this.smoothHeightmap(heightMap, resolution, 1);
+    // Add to scene and store in map
+    this.chunksContainer.add(chunk.mesh);
+    if (chunk.waterMesh) this.waterContainer.add(chunk.waterMesh);
+    this.microChunks.set(key, chunk);
+    
+    if (this.debugMode) {
+      const [chunkX, chunkZ] = key.split(',').map(Number);
+      this.addDebugMarker(chunkX, chunkZ);
+    }
   }
   
-  // Calculate slope at a point in macro terrain
-  calculateMacroSlope(worldX, worldZ) {
-    const sampleDist = 5; // Sample 5 units away
+  // Load chunk data from the persistent cache, or generate it and add it to the cache
+  async generateChunkData(chunkX, chunkZ, resolution) {
+    const version = this.terrainVersion;
+    const cacheKey = this.getChunkCacheKey(chunkX, chunkZ, resolution);
+    const generator = this.generator;
+    
+    if (cacheKey) {
+      const cached = await this.chunkCache.get(cacheKey);
+      if (cached) {
+        // Positions follow directly from the heights, so they aren't stored
+        // unless cliffs added vertices of their own
+        return { ...cached, positions: cached.positions || generator.createChunkPositions(cached.heightMap, resolution) };
+      }
+    }
     
-    const h = this.getInterpolatedMacroHeight(worldX, worldZ);
-    const hN = this.getInterpolatedMacroHeight(worldX, worldZ - sampleDist);
-    const hS = this.getInterpolatedMacroHeight(worldX, worldZ + sampleDist);
-    const hE = this.getInterpolatedMacroHeight(worldX + sampleDist, worldZ);
-    const hW = this.getInterpolatedMacroHeight(worldX - sampleDist, worldZ);
+    const chunkData = await this.computeChunkData(chunkX, chunkZ, resolution);
     
-    const gradX = (hE - hW) / (2 * sampleDist);
-    const gradZ = (hS - hN) / (2 * sampleDist);
+    // Only cache data generated for the world the key describes
+    if (cacheKey && version === this.terrainVersion) {
+      const { heightMap, positions, normals, colors, layers, cliffs, index, snowDepth, waterSurface, climate, vegetation } = chunkData;
+      this.chunkCache.put(cacheKey, {
+        heightMap, normals, colors, layers, cliffs, index, snowDepth, waterSurface, climate, vegetation,
+        ...(index ? { positions } : {})
+      });
+    }
     
-    return Math.sqrt(gradX * gradX + gradZ * gradZ);
+    return chunkData;
   }
   
-  // Apply smoothing to heightmap
-  smoothHeightmap(heightMap, resolution, passes = 1) {
-    if (passes <= 0) return heightMap;
-    
-    const smoothed = new Float32Array(heightMap.length);
-    
-    for (let pass = 0; pass < passes; pass++) {
-      for (let z = 0; z < resolution; z++) {
-        for (let x = 0; x < resolution; x++) {
-          const idx = z * resolution + x;
-          let sum = heightMap[idx]; // Include center point
-          let count = 1;
-          
-          // Simple 3x3 kernel
-          for (let dz = -1; dz <= 1; dz++) {
-            for (let dx = -1; dx <= 1; dx++) {
-              if (dx === 0 && dz === 0) continue;
-              
-              const nx = x + dx;
-              const nz = z + dz;
-              
-              if (nx >= 0 && nx < resolution && nz >= 0 && nz < resolution) {
-                sum += heightMap[nz * resolution + nx];
-                count++;
-              }
-            }
-          }
-          
-          smoothed[idx] = sum / count;
-        }
-      }
-      
-      // Copy back for next pass
-      for (let i = 0; i < heightMap.length; i++) {
-        heightMap[i] = smoothed[i];
+  // Cache key for a chunk in the current world, or null when caching is unavailable
+  getChunkCacheKey(chunkX, chunkZ, resolution) {
+    if (!this.chunkCache || !this.cacheWorldKey) return null;
+    return `${this.cacheWorldKey}:${chunkX},${chunkZ}:${resolution}`;
+  }
+  
+  // Delete all cached chunks from disk
+  async clearChunkCache() {
+    if (this.chunkCache) {
+      await this.chunkCache.clear();
+    }
+  }
+  
+  // Generate chunk data in a worker, falling back to the main thread
+  async computeChunkData(chunkX, chunkZ, resolution) {
+    if (this.workerPool) {
+      try {
+        return await this.workerPool.generateChunk(chunkX, chunkZ, resolution);
+      } catch (error) {
+        console.warn('Chunk worker failed, generating on the main thread instead', error);
       }
     }
     
-    return heightMap;
+    // Use a promise to allow for async generation
+    const generator = this.generator;
+    return new Promise(resolve => {
+      setTimeout(() => resolve(generator.generateChunkData(chunkX, chunkZ, resolution)), 0);
+    });
   }
   
-  // Create a mesh for a chunk with enhanced coloring for elevation zones
-  // Create a mesh for a chunk with enhanced coloring for elevation zones
-  createChunkMesh(heightMap, worldX, worldZ) {
-    // Create geometry
-    const geometry = new THREE.PlaneGeometry(
-      this.microSize, 
-      this.microSize, 
-      this.microResolution - 1, 
-      this.microResolution - 1
-    );
-    geometry.rotateX(-Math.PI / 2);
-    
-    // Apply heightmap
-    const positions = geometry.attributes.position.array;
-    for (let i = 0; i < positions.length / 3; i++) {
-      positions[i * 3 + 1] = heightMap[i];
+  // Create a mesh for a chunk from generated heights, normals and colors, with its plants, and
+  // a water mesh if any of it lies under water
+  createChunkMesh(chunkData, worldX, worldZ, resolution = this.microResolution) {
+    const { heightMap, positions, normals, colors, layers, cliffs, index, snowDepth, waterSurface, climate, vegetation } = chunkData;
+    
+    // The triangle layout is the same for every chunk at a resolution, so it is built once.
+    // Chunks with cliffs bring their own, with the cliff cells split up.
+    if (!index && !this.chunkIndices.has(resolution)) {
+      this.chunkIndices.set(resolution, createChunkIndex(resolution));
     }
     
-    geometry.computeVertexNormals();
-    
-    // Apply colors based on height and slopes
-    this.applyTerrainColors(geometry, heightMap);
-    
-    // Create material
-    const material = new THREE.MeshStandardMaterial({
-      vertexColors: true,
-      flatShading: false,
-      metalness: 0.0,
-      roughness: 0.8
-    });
+    // Create geometry
+    const geometry = new THREE.BufferGeometry();
+    geometry.setIndex(new THREE.BufferAttribute(index || this.chunkIndices.get(resolution).slice(), 1));
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.setAttribute('layers', new THREE.BufferAttribute(layers, 4));
+    geometry.setAttribute('cliff', new THREE.BufferAttribute(cliffs, 1));
+    geometry.computeBoundingSphere();
     
     // Create mesh and position it in the world
-    const mesh = new THREE.Mesh(geometry, material);
+    const mesh = new THREE.Mesh(geometry, this.terrainMaterial);
     mesh.position.set(worldX, 0, worldZ);
     mesh.receiveShadow = true;
     mesh.castShadow = true;
     
+    // Plants are positioned relative to the chunk, so they move with its mesh
+    const vegetationMeshes = createVegetationMeshes(vegetation, this.vegetationGeometries, this.vegetationMaterial);
+    vegetationMeshes.forEach(vegetationMesh => mesh.add(vegetationMesh));
+    
+    const waterMesh = this.createWaterMesh(heightMap, waterSurface, worldX, worldZ, resolution);
+    
+    // Interpolate a per-vertex grid value at a world position, or null outside this chunk
+    const sampleGrid = (values, x, z) => {
+      const localX = x - (worldX - this.microSize / 2);
+      const localZ = z - (worldZ - this.microSize / 2);
+      
+      // Check if point is within chunk
+      if (localX < 0 || localX > this.microSize || localZ < 0 || localZ > this.microSize) {
+        return null;
+      }
+      
+      // Convert to grid coordinates; samples sit on the mesh vertices
+      const segments = resolution - 1;
+      const gridX = localX / this.microSize * segments;
+      const gridZ = localZ / this.microSize * segments;
+      
+      const x0 = Math.min(segments - 1, Math.floor(gridX));
+      const z0 = Math.min(segments - 1, Math.floor(gridZ));
+      const fractX = gridX - x0;
+      const fractZ = gridZ - z0;
+      
+      // Bilinear interpolation between the four surrounding samples
+      const v00 = values[z0 * resolution + x0];
+      const v10 = values[z0 * resolution + x0 + 1];
+      const v01 = values[(z0 + 1) * resolution + x0];
+      const v11 = values[(z0 + 1) * resolution + x0 + 1];
+      
+      const v0 = v00 * (1 - fractX) + v10 * fractX;
+      const v1 = v01 * (1 - fractX) + v11 * fractX;
+      
+      return v0 * (1 - fractZ) + v1 * fractZ;
+    };
+    
+    // Cliff cells drawn with extra vertices: the first of them for each cell, or -1
+    const subdivisions = this.generator.getCliffSubdivisions();
+    const cliffCells = index ? this.generator.getCliffCellVertices(cliffs, resolution) : null;
+    
+    // Height of the drawn surface at a world position, or null outside this chunk. It follows
+    // the mesh's triangles, split cliff cells included, so the player stands on what is drawn.
+    const sampleSurface = (x, z) => {
+      const gridX = (x - (worldX - this.microSize / 2)) / this.microSize * (resolution - 1);
+      const gridZ = (z - (worldZ - this.microSize / 2)) / this.microSize * (resolution - 1);
+      if (gridX < 0 || gridX > resolution - 1 || gridZ < 0 || gridZ > resolution - 1) return null;
+      
+      const cellX = Math.min(resolution - 2, Math.floor(gridX));
+      const cellZ = Math.min(resolution - 2, Math.floor(gridZ));
+      const first = cliffCells ? cliffCells[cellZ * (resolution - 1) + cellX] : -1;
+      const steps = first >= 0 ? subdivisions : 1;
+      
+      // Vertex at a corner of the cell's quads. Inside a split cell the extra vertices run row by
+      // row, skipping the cell's own corners.
+      const vertexAt = (sx, sz) => {
+        if ((sx === 0 || sx === steps) && (sz === 0 || sz === steps)) {
+          return (cellZ + sz / steps) * resolution + cellX + sx / steps;
+        }
+        const v = sz * (steps + 1) + sx;
+        return first + v - 1 - (v > steps ? 1 : 0) - (v > steps * (steps + 1) ? 1 : 0);
+      };
+      const heightAt = (sx, sz) => positions[vertexAt(sx, sz) * 3 + 1];
+      
+      const quadX = Math.min(steps - 1, Math.floor((gridX - cellX) * steps));
+      const quadZ = Math.min(steps - 1, Math.floor((gridZ - cellZ) * steps));
+      const fractX = (gridX - cellX) * steps - quadX;
+      const fractZ = (gridZ - cellZ) * steps - quadZ;
+      
+      // Quads are drawn as two triangles either side of the diagonal from (0, 1) to (1, 0)
+      const h00 = heightAt(quadX, quadZ);
+      const h10 = heightAt(quadX + 1, quadZ);
+      const h01 = heightAt(quadX, quadZ + 1);
+      const h11 = heightAt(quadX + 1, quadZ + 1);
+      if (fractX + fractZ <= 1) {
+        return h00 + (h10 - h00) * fractX + (h01 - h00) * fractZ;
+      }
+      return h11 + (h01 - h11) * (1 - fractX) + (h10 - h11) * (1 - fractZ);
+    };
+    
     // Create chunk object with helper methods
     return {
       mesh,
+      waterMesh,
+      vegetationMeshes,
       heightMap,
+      cliffs,
+      snowDepth,
+      waterSurface,
+      climate,
       worldX,
       worldZ,
       size: this.microSize,
-      resolution: this.microResolution,
+      resolution,
       
-      // Get height at local coordinates within this chunk
-      getHeightAt: (x, z) => {
-        const localX = x - (worldX - this.microSize / 2);
-        const localZ = z - (worldZ - this.microSize / 2);
-        
-        // Check if point is within chunk
-        if (localX < 0 || localX > this.microSize || localZ < 0 || localZ > this.microSize) {
-          return null;
-        }
-        
-        // Convert to heightmap indices
-        const gridX = Math.floor(localX / this.microSize * this.microResolution);
-        const gridZ = Math.floor(localZ / this.microSize * this.microResolution);
-        
-        // Clamp to valid indices
-        const clampedGridX = Math.max(0, Math.min(this.microResolution - 1, gridX));
-        const clampedGridZ = Math.max(0, Math.min(this.microResolution - 1, gridZ));
-        
-        return heightMap[clampedGridZ * this.microResolution + clampedGridX];
+      // Get height at a world position within this chunk
+      getHeightAt: (x, z) => sampleSurface(x, z),
+      
+      // Get how much of a cliff (0-1) the ground is at a world position within this chunk
+      getCliffAt: (x, z) => sampleGrid(cliffs, x, z),
+      
+      // Get the depth of snow (metres) at a world position within this chunk
+      getSnowDepthAt: (x, z) => sampleGrid(snowDepth, x, z),
+      
+      // Get the height of the lake or sea surface at a world position within this chunk
+      getWaterSurfaceAt: (x, z) => sampleGrid(waterSurface, x, z),
+      
+      // Get the biome at a world position within this chunk, from the climate of the ground there
+      getBiomeAt: (x, z) => {
+        const temperature = sampleGrid(climate.temperature, x, z);
+        return temperature === null ? null : describeBiome(temperature, sampleGrid(climate.moisture, x, z));
       }
     }
   }
-
-  // Apply colors to terrain based on height, slope, and elevation zones
-  applyTerrainColors(geometry, heightMap) {
-    const colors = new Float32Array(geometry.attributes.position.count * 3);
-    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-    
-    // Find height range
-    let minHeight = Infinity, maxHeight = -Infinity;
-    for (let i = 0; i < heightMap.length; i++) {
-        minHeight = Math.min(minHeight, heightMap[i]);
-        maxHeight = Math.max(maxHeight, heightMap[i]);
-    }
-    
-    const heightRange = maxHeight - minHeight > 0 ? maxHeight - minHeight : 1;
-    
-    // Calculate slopes for better coloring
-    const slopes = new Float32Array(heightMap.length);
-    const resolution = this.microResolution;
-    
-    for (let z = 0; z < resolution; z++) {
-        for (let x = 0; x < resolution; x++) {
-        const idx = z * resolution + x;
-        const h = heightMap[idx];
-        
-        // Calculate slope using neighbors
-        let dhdx = 0, dhdz = 0;
-        let neighbors = 0;
-        
-        // Check x neighbors
-        if (x > 0) {
-            dhdx += h - heightMap[z * resolution + (x - 1)];
-            neighbors++;
-        }
-        if (x < resolution - 1) {
-            dhdx += heightMap[z * resolution + (x + 1)] - h;
-            neighbors++;
-        }
-        
-        // Check z neighbors
-        if (z > 0) {
-            dhdz += h - heightMap[(z - 1) * resolution + x];
-            neighbors++;
-        }
-        if (z < resolution - 1) {
-            dhdz += heightMap[(z + 1) * resolution + x] - h;
-            neighbors++;
-        }
-        
-        // Average the gradients
-        if (neighbors > 0) {
-            dhdx /= neighbors * 0.5; // Scale factor for heightmap resolution
-            dhdz /= neighbors * 0.5;
-        }
-        
-        // Calculate slope magnitude
-        const slope = Math.sqrt(dhdx * dhdx + dhdz * dhdz);
-        slopes[idx] = slope;
-        }
-    }
-    
-    // Set colors based on height zones, slope, and custom elevation zone properties
-    for (let i = 0; i < geometry.attributes.position.count; i++) {
-        const height = heightMap[i];
-        const normalizedHeight = (height - minHeight) / heightRange;
-        const slope = slopes[i] / this.heightScale * 10; // Normalize slope
-        
-        let color = new THREE.Color();
-        
-        // First determine the elevation zone
-        const zoneName = this.getElevationZone(normalizedHeight);
-        
-        if (height <= this.waterLevel + 0.1) {
-        // Water - deeper blue in deeper areas, lighter in shallow areas
-        const depthFactor = Math.max(0, Math.min(1, (this.waterLevel - height) * 2));
-        const deepWater = new THREE.Color(0.0, 0.2, 0.5);  // Deep water
-        const shallowWater = new THREE.Color(0.2, 0.5, 0.9); // Shallow water
-        color.copy(shallowWater).lerp(deepWater, depthFactor);
-        } 
-        else if (zoneName === "lowlands" && normalizedHeight < 0.25) {
-        // Beach/sand transition - closer to water is more sandy
-        const sandColor = new THREE.Color(0.76, 0.7, 0.5);
-        const grassColor = new THREE.Color(0.4, 0.7, 0.3);
-        
-        // Mix sand and grass based on height
-        const sandFactor = 1.0 - (normalizedHeight - 0.15) / 0.1;
-        color.copy(grassColor).lerp(sandColor, Math.max(0, Math.min(1, sandFactor)));
-        }
-        else if (zoneName === "lowlands") {
-        // Lowlands - green with variation based on noise and slope
-        const baseGreenColor = new THREE.Color(0.3, 0.65, 0.3);
-        const dirtColor = new THREE.Color(0.5, 0.4, 0.3);
-        const darkerGreenColor = new THREE.Color(0.2, 0.5, 0.2);
-        
-        // Create variety in the grass color using a noise function
-        // Simplified noise variation through subtle mixing
-        const noiseFactor = (Math.sin(i * 0.1) + Math.cos(i * 0.17)) * 0.25 + 0.5;
-        const grassColor = new THREE.Color().copy(baseGreenColor)
-                            .lerp(darkerGreenColor, noiseFactor * 0.5);
-        
-        // More dirt on slopes
-        const slopeFactor = Math.min(1, slope * 2.5);
-        color.copy(grassColor).lerp(dirtColor, slopeFactor * 0.7);
-        }
-        else if (zoneName === "foothills") {
-        // Foothills - transition from grass to rocky
-        const grassColor = new THREE.Color(0.3, 0.55, 0.25);
-        const rockColor = new THREE.Color(0.5, 0.45, 0.35);
-        
-        // Mix based on normalized height within the foothills zone
-        const t = (normalizedHeight - 0.35) / 0.25;
-        const baseMix = Math.max(0, Math.min(1, t));
-        
-        // Add slope factor - more rocky on steeper slopes
-        const slopeFactor = Math.min(1, slope * 2);
-        const finalMix = Math.min(1, baseMix + slopeFactor * 0.3);
-        
-        color.copy(grassColor).lerp(rockColor, finalMix);
-        }
-        else if (zoneName === "mountains") {
-        // Mountains - rocky with some vegetation in lower parts
-        const rockColor = new THREE.Color(0.55, 0.52, 0.5);
-        const darkRockColor = new THREE.Color(0.4, 0.38, 0.36);
-        const alpineColor = new THREE.Color(0.45, 0.5, 0.4);
-        
-        // Mix different rock colors based on noise pattern
-        const noiseMix = (Math.sin(i * 0.3) + Math.cos(i * 0.23)) * 0.25 + 0.5;
-        const baseRockColor = new THREE.Color().copy(rockColor)
-                                .lerp(darkRockColor, noiseMix);
-        
-        // Add some green/alpine variation in lower parts of mountain zone
-        const t = (normalizedHeight - 0.6) / 0.2;
-        let alpineMix = Math.max(0, 1.0 - Math.min(1, t * 2));
-        
-        // Reduce alpine color on very steep slopes
-        alpineMix *= (1.0 - Math.min(1, slope * 1.5));
-        
-        color.copy(baseRockColor).lerp(alpineColor, alpineMix * 0.5);
-        }
-        else if (zoneName === "peaks") {
-        // Mountain peaks - transition to snow
-        const rockColor = new THREE.Color(0.6, 0.58, 0.56);
-        const snowColor = new THREE.Color(0.95, 0.95, 0.97);
-        
-        // Calculate snow cover based on height
-        const snowLine = 0.8;
-        const snowTransitionWidth = 0.2;
-        const t = (normalizedHeight - snowLine) / snowTransitionWidth;
-        let snowCover = Math.max(0, Math.min(1, t));
-        
-        // Adjust snow cover based on slope - less snow on steeper slopes
-        const maxSnowSlope = 0.8; // Max slope that can hold full snow
-        const slopeEffect = Math.max(0, Math.min(1, (slope - maxSnowSlope) / (1 - maxSnowSlope)));
-        snowCover *= (1.0 - slopeEffect * 0.8);
-        
-        // Add noise variation to snow cover for more natural look
-        const noiseVariation = (Math.sin(i * 0.41) + Math.cos(i * 0.27)) * 0.15;
-        snowCover = Math.max(0, Math.min(1, snowCover + noiseVariation));
-        
-        color.copy(rockColor).lerp(snowColor, snowCover);
-        }
-        
-        // Apply color to vertex
-        const colorIndex = i * 3;
-        colors[colorIndex] = color.r;
-        colors[colorIndex + 1] = color.g;
-        colors[colorIndex + 2] = color.b;
-    }
+  
+  // Build the water surface mesh of a chunk, or return null if the chunk is dry
+  createWaterMesh(heightMap, waterSurface, worldX, worldZ, resolution) {
+    const water = this.generator.createWaterGeometryData(heightMap, waterSurface, resolution);
+    if (!water) return null;
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setIndex(new THREE.BufferAttribute(water.index, 1));
+    geometry.setAttribute('position', new THREE.BufferAttribute(water.positions, 3));
+    geometry.setAttribute('depth', new THREE.BufferAttribute(water.depths, 1));
+    geometry.computeBoundingSphere();
+    
+    const mesh = new THREE.Mesh(geometry, this.waterMaterial);
+    mesh.position.set(worldX, 0, worldZ);
+    return mesh;
   }
-
+  
+  // Advance the water animation; time is in seconds
+  updateWater(time) {
+    this.waterMaterial.uniforms.time.value = time;
+  }
+  
   // Add this method to the HierarchicalTerrainManager class
 // Add this method to the HierarchicalTerrainManager class
 getHeightAt(worldX, worldZ) {
   // Try to get height from the correct chunk
-  const chunkX = Math.floor(worldX / this.microSize);
-  const chunkZ = Math.floor(worldZ / this.microSize);
+  const chunkX = this.getChunkCoordinate(worldX);
+  const chunkZ = this.getChunkCoordinate(worldZ);
   const key = `${chunkX},${chunkZ}`;
   
   const chunk = this.microChunks.get(key);
@@ -1007,23 +842,169 @@ getHeightAt(worldX, worldZ) {
   }
   
   // If no chunk is loaded or point is outside all chunks,
-  // fall back to macro terrain
-  return this.getInterpolatedMacroHeight(worldX, worldZ);
+  // fall back to macro terrain, with the stamps laid on it, the river channels cut into it and
+  // the glaciers lying on it. Building those here would stall the frame, so until they exist
+  // the height is estimated from the noise alone.
+  if (!this.generator) return 0;
+  if (!this.generator.isGeneratedAt(worldX, worldZ)) {
+    return this.generator.estimateHeight(worldX, worldZ);
+  }
+  const height = this.generator.applyStampsAt(worldX, worldZ, this.getInterpolatedMacroHeight(worldX, worldZ));
+  return height - this.generator.getRiverCarveDepth(worldX, worldZ) + this.generator.getGlacierThickness(worldX, worldZ);
+}
+
+// Water at a position: the height of the lake or sea surface above it, how deep the water is
+// (negative when the ground is above the surface) and the lake, if any. Lakes are only known
+// where their macro tiles have been built on this thread; elsewhere the loaded chunk's water
+// surface, or the sea level, stands in.
+getWaterAt(worldX, worldZ) {
+  const groundHeight = this.getHeightAt(worldX, worldZ);
+  const chunk = this.microChunks.get(`${this.getChunkCoordinate(worldX)},${this.getChunkCoordinate(worldZ)}`);
+  const chunkSurface = chunk ? chunk.getWaterSurfaceAt(worldX, worldZ) : null;
+  const surface = this.generator && this.generator.isGeneratedAt(worldX, worldZ) ?
+    this.generator.getWaterSurface(worldX, worldZ) :
+    { height: chunkSurface ?? this.waterLevel, lake: null };
+  
+  return {
+    surfaceHeight: surface.height,
+    depth: surface.height - groundHeight,
+    underwater: groundHeight < surface.height,
+    lake: surface.lake
+  };
+}
+
+// Kind of surface at a position, for movement and sounds: 'water' under a lake or the sea,
+// 'cliff' on faces steeper than the cliff angle, otherwise 'ground'. Also gives how much of a
+// cliff (0-1) the ground is and its slope in degrees.
+getSurfaceTypeAt(worldX, worldZ) {
+  const sampleDistance = 1;
+  const dx = this.getHeightAt(worldX + sampleDistance, worldZ) - this.getHeightAt(worldX - sampleDistance, worldZ);
+  const dz = this.getHeightAt(worldX, worldZ + sampleDistance) - this.getHeightAt(worldX, worldZ - sampleDistance);
+  const slope = Math.atan(Math.hypot(dx, dz) / (2 * sampleDistance)) * 180 / Math.PI;
+  
+  // Loaded chunks know their cliffs; elsewhere they follow from the slope
+  const chunk = this.microChunks.get(`${this.getChunkCoordinate(worldX)},${this.getChunkCoordinate(worldZ)}`);
+  const chunkCliff = chunk ? chunk.getCliffAt(worldX, worldZ) : null;
+  const cliff = chunkCliff ?? (this.generator ? this.generator.getCliffWeight(slope) : 0);
+  
+  let type = 'ground';
+  if (this.getWaterAt(worldX, worldZ).underwater) {
+    type = 'water';
+  } else if (cliff >= 0.5) {
+    type = 'cliff';
+  }
+  
+  return { type, cliff, slope };
+}
+
+// Depth of snow (metres) at a position, which slows the player down
+getSnowDepthAt(worldX, worldZ) {
+  const chunk = this.microChunks.get(`${this.getChunkCoordinate(worldX)},${this.getChunkCoordinate(worldZ)}`);
+  const chunkDepth = chunk ? chunk.getSnowDepthAt(worldX, worldZ) : null;
+  if (chunkDepth !== null) return chunkDepth;
+  if (!this.generator) return 0;
+  
+  // Elsewhere it follows from the height and slope of the ground
+  const sampleDistance = 1;
+  const height = this.getHeightAt(worldX, worldZ);
+  const normal = new THREE.Vector3(
+    this.getHeightAt(worldX - sampleDistance, worldZ) - this.getHeightAt(worldX + sampleDistance, worldZ),
+    2 * sampleDistance,
+    this.getHeightAt(worldX, worldZ - sampleDistance) - this.getHeightAt(worldX, worldZ + sampleDistance)
+  ).normalize();
+  
+  return this.generator.getSnowAt(worldX, worldZ, height, normal.x, normal.y, normal.z).depth;
+}
+
+// Terrain profile at a position: the active profile, or with profile regions the region's
+// profile, blended where regions meet ({ name, params })
+getProfileAt(worldX, worldZ) {
+  if (this.generator && this.generator.regions) {
+    return this.generator.getProfileAt(worldX, worldZ);
+  }
+  return getProfile(this.activeProfile);
+}
+
+// Biome at a position: its id and name, the temperature and moisture (both 0-1) that decide it,
+// and how much each biome contributes there, since biomes blend into each other. Loaded chunks
+// know their climate; elsewhere it takes the macro tiles there, so until they are built it is null.
+getBiomeAt(worldX, worldZ) {
+  const chunk = this.microChunks.get(`${this.getChunkCoordinate(worldX)},${this.getChunkCoordinate(worldZ)}`);
+  const chunkBiome = chunk ? chunk.getBiomeAt(worldX, worldZ) : null;
+  if (chunkBiome) return chunkBiome;
+  
+  if (!this.generator || !this.generator.isGeneratedAt(worldX, worldZ)) return null;
+  return this.generator.getBiome(worldX, worldZ, this.getHeightAt(worldX, worldZ));
+}
+
+// Find the nearest river to a position. Returns the closest point on the river, its width there
+// and the river polyline ({ points: [{ x, z, width }] }), or null if none is within maxDistance.
+getNearestRiver(worldX, worldZ, maxDistance = 500) {
+  return this.generator ? this.generator.findNearestRiver(worldX, worldZ, maxDistance) : null;
+}
+
+// Get the river polylines that pass within roughly `radius` of a position
+getRiversNear(worldX, worldZ, radius) {
+  if (!this.generator) return [];
+  
+  const segments = this.generator.getRiverSegments(worldX, worldZ, worldX, worldZ, radius);
+  return [...new Set(segments.map(segment => segment.river))];
+}
+
+// Get the stamps, procedural and hand-placed, that change the terrain within `radius` of a position
+getStampsNear(worldX, worldZ, radius) {
+  if (!this.generator) return [];
+  return this.generator.getStamps(worldX - radius, worldZ - radius, worldX + radius, worldZ + radius);
+}
+
+// Chunks are centered on multiples of the chunk size
+getChunkCoordinate(worldCoordinate) {
+  return Math.floor(worldCoordinate / this.microSize + 0.5);
+}
+
+// Get the macro height at any position with bilinear interpolation for smoothness
+getInterpolatedMacroHeight(worldX, worldZ) {
+  return this.generator ? this.generator.getInterpolatedMacroHeight(worldX, worldZ) : 0;
 }
 
 // Update chunks based on player position
 updatePlayerPosition(worldX, worldZ) {
+  // Track the direction of travel so chunks ahead of the player load first
+  if (this.lastPlayerPosition) {
+    const dx = worldX - this.lastPlayerPosition.x;
+    const dz = worldZ - this.lastPlayerPosition.z;
+    const length = Math.sqrt(dx * dx + dz * dz);
+    if (length > 0.01) {
+      this.travelDirection = { x: dx / length, z: dz / length };
+    }
+  }
+  this.lastPlayerPosition = { x: worldX, z: worldZ };
+  
   // Calculate which chunk this position belongs to
-  const chunkX = Math.floor(worldX / this.microSize);
-  const chunkZ = Math.floor(worldZ / this.microSize);
+  const chunkX = this.getChunkCoordinate(worldX);
+  const chunkZ = this.getChunkCoordinate(worldZ);
   
   // Check if player moved to a new chunk
   if (chunkX !== this.currentChunk.x || chunkZ !== this.currentChunk.z) {
     this.currentChunk = { x: chunkX, z: chunkZ };
+    this.evictMacroTiles(worldX, worldZ);
     this.generateChunksAroundPosition(chunkX, chunkZ);
   }
 }
 
+// Forget macro tiles that are well out of view, here and in the workers
+evictMacroTiles(worldX, worldZ) {
+  // Keep an extra half tile so walking back and forth over a tile edge doesn't regenerate it
+  const keepDistance = (this.viewDistance + 1) * this.microSize + this.macroSize / 2;
+  
+  if (this.generator) {
+    this.generator.evictMacroTiles(worldX, worldZ, keepDistance);
+  }
+  if (this.workerPool) {
+    this.workerPool.evictMacroTiles(worldX, worldZ, keepDistance);
+  }
+}
+
 // Check if a point is on a ridge
 isRidge(worldX, worldZ, threshold = 5) {
   // Calculate slope in surrounding area
@@ -1056,7 +1037,7 @@ getLoadedChunks() {
 setViewDistance(distance) {
   if (distance === this.viewDistance) return;
   
-  this.viewDistance = Math.max(1, Math.min(8, distance));
+  this.viewDistance = Math.max(1, Math.min(this.maxViewDistance, distance));
   this.generateChunksAroundPosition(this.currentChunk.x, this.currentChunk.z);
 }
 
@@ -1081,4 +1062,4 @@ toggleDebug() {
   return this.debugMode;
 }
 
-}
\ No newline at end of file
+}
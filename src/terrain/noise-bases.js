@@ -0,0 +1,183 @@
+// src/terrain/noise-bases.js
+// Fractal noise over a choice of bases: ridged, billow, fBm, ridged and hybrid multifractals,
+// domain-warped fBm and cellular (Worley) plateaus. Profiles pick one with `noiseBasis`.
+import { deriveSeed } from '../utils/random.js';
+
+// How far, in noise units, asymmetric ridges move the samples furthest from a crest at full
+// asymmetry. Larger values would fold the terrain over itself on steep noise gradients.
+const ASYMMETRY_SHIFT = 0.3;
+
+// Sum octaves of noise, each `lacunarity` times the frequency and `persistence` times the
+// amplitude of the one before. Each octave's noise value (-1 to 1) is turned into a height
+// contribution (0 to 1) by shapeOctave(value, octave, state, x, z); state carries values
+// between octaves. A fractional octave count (from blended profiles) fades the last octave in,
+// so the terrain changes smoothly with it.
+function sumOctaves(noise2D, x, z, params, shapeOctave) {
+  const {
+    octaves = 6,
+    persistence = 0.5,
+    lacunarity = 2.0,
+    initialFrequency = 1.0,
+    asymmetry = 0,
+    asymmetryDirection = 0
+  } = params;
+  
+  let amplitude = 1.0;
+  let frequency = initialFrequency;
+  let noiseHeight = 0;
+  let normalization = 0;
+  const state = { weight: 1 };
+  
+  for (let o = 0; o < octaves; o++) {
+    const weight = Math.min(1, octaves - o);
+    const sampleX = x * frequency;
+    const sampleZ = z * frequency;
+    
+    let noiseValue = noise2D(sampleX, sampleZ);
+    
+    // Asymmetric ridges: the noise is sampled further along the asymmetry direction the
+    // further a sample is from a crest. That packs each slope facing the direction into an
+    // escarpment and draws the opposite slope out.
+    if (asymmetry > 0) {
+      const shift = asymmetry * ASYMMETRY_SHIFT * Math.abs(noiseValue);
+      noiseValue = noise2D(
+        sampleX + Math.cos(asymmetryDirection) * shift,
+        sampleZ + Math.sin(asymmetryDirection) * shift
+      );
+    }
+    
+    noiseHeight += shapeOctave(noiseValue, o, state, sampleX, sampleZ) * amplitude * weight;
+    normalization += amplitude * weight;
+    
+    amplitude *= persistence;
+    frequency *= lacunarity;
+  }
+  
+  return noiseHeight / normalization;
+}
+
+// Height of a sample in the cellular plateau pattern: every cell of a jittered grid is a
+// plateau at its own height, falling away towards the borders it shares with other cells
+function worleyPlateau(x, z, seed, edge) {
+  const cellX = Math.floor(x);
+  const cellZ = Math.floor(z);
+  let nearest = Infinity;
+  let second = Infinity;
+  let nearestHeight = 0;
+  
+  for (let dz = -1; dz <= 1; dz++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      const cx = cellX + dx;
+      const cz = cellZ + dz;
+      const pointX = cx + deriveSeed(seed, cx, cz, 0) / 4294967296;
+      const pointZ = cz + deriveSeed(seed, cx, cz, 1) / 4294967296;
+      const distance = Math.hypot(x - pointX, z - pointZ);
+      
+      if (distance < nearest) {
+        second = nearest;
+        nearest = distance;
+        nearestHeight = 0.4 + 0.6 * deriveSeed(seed, cx, cz, 2) / 4294967296;
+      } else if (distance < second) {
+        second = distance;
+      }
+    }
+  }
+  
+  // The gap between the nearest two points closes at the cell borders
+  const t = Math.min(1, (second - nearest) / edge);
+  return nearestHeight * t * t * (3 - 2 * t);
+}
+
+// Each basis turns a noise-space position into a value from 0 to about 1
+const NoiseBases = {
+  // Sharp crests where the noise crosses zero, with broad valleys between them
+  ridged: (noise2D, x, z, params) => {
+    const { ridge = 0.8 } = params;
+    return sumOctaves(noise2D, x, z, params, value => {
+      const crest = ridge - Math.abs(value);
+      return crest * crest;
+    });
+  },
+  
+  // Rounded, puffy hills with creases in the valleys
+  billow: (noise2D, x, z, params) =>
+    sumOctaves(noise2D, x, z, params, value => Math.abs(value)),
+  
+  // Plain fractal Brownian motion
+  fbm: (noise2D, x, z, params) =>
+    sumOctaves(noise2D, x, z, params, value => (value + 1) / 2),
+  
+  // Ridged noise where each octave is weighted by the one before it, so detail gathers on the
+  // crests and the valleys stay smooth
+  ridgedMultifractal: (noise2D, x, z, params) => {
+    const { ridge = 0.8, multifractalGain = 2 } = params;
+    return sumOctaves(noise2D, x, z, params, (value, octave, state) => {
+      const crest = ridge - Math.abs(value);
+      const signal = crest * crest * state.weight;
+      state.weight = Math.max(0, Math.min(1, signal * multifractalGain));
+      return signal;
+    });
+  },
+  
+  // Smooth lowlands with rough heights: each octave adds less where the terrain so far is low
+  hybridMultifractal: (noise2D, x, z, params) => {
+    const { multifractalGain = 2 } = params;
+    return sumOctaves(noise2D, x, z, params, (value, octave, state) => {
+      const signal = (value + 1) / 2;
+      if (octave === 0) {
+        state.weight = signal;
+        return signal;
+      }
+      
+      const contribution = Math.min(1, state.weight) * signal;
+      state.weight *= signal * multifractalGain;
+      return contribution;
+    });
+  },
+  
+  // fBm sampled through a low-frequency warp of its coordinates, for swirled, folded shapes
+  warped: (noise2D, x, z, params) => {
+    const { warpStrength = 0.5, warpFrequency = 1 } = params;
+    const warpX = noise2D(x * warpFrequency + 5.2, z * warpFrequency + 1.3);
+    const warpZ = noise2D(x * warpFrequency + 1.7, z * warpFrequency + 9.2);
+    return NoiseBases.fbm(noise2D, x + warpStrength * warpX, z + warpStrength * warpZ, params);
+  },
+  
+  // Flat-topped mesas and plateaus from cellular noise in the first octave, with fBm detail
+  // in the octaves above it
+  worley: (noise2D, x, z, params, seed) => {
+    const { worleyEdge = 0.3 } = params;
+    return sumOctaves(noise2D, x, z, params, (value, octave, state, sampleX, sampleZ) =>
+      octave === 0 ? worleyPlateau(sampleX, sampleZ, seed, worleyEdge) : (value + 1) / 2
+    );
+  }
+};
+
+// Names of the noise bases a profile can choose from
+export const NOISE_BASES = Object.keys(NoiseBases);
+
+// Weight of each basis in a set of profile params: the profile's `noiseBasis` (ridged when
+// unset), or the `noiseBases` weights left by blending profiles with different bases
+export function getNoiseBasisWeights(params) {
+  return params.noiseBases || { [params.noiseBasis || 'ridged']: 1 };
+}
+
+/**
+ * Fractal noise at a position in noise space, in the basis (or blend of bases) the params
+ * choose, from 0 to about 1 before the profile's exponent. The seed places cellular features.
+ */
+export function fractalNoise(noise2D, x, z, params, seed = 0) {
+  if (!params.noiseBases) {
+    return NoiseBases[params.noiseBasis || 'ridged'](noise2D, x, z, params, seed);
+  }
+  
+  let value = 0;
+  let totalWeight = 0;
+  for (const [basis, weight] of Object.entries(params.noiseBases)) {
+    if (weight <= 0) continue;
+    value += weight * NoiseBases[basis](noise2D, x, z, params, seed);
+    totalWeight += weight;
+  }
+  
+  return totalWeight > 0 ? value / totalWeight : 0;
+}
@@ -0,0 +1,69 @@
+// src/terrain/profile-storage.js
+// Keep custom terrain profiles in localStorage, and read and write them as JSON files
+import { getCustomProfiles, registerProfile, exportProfile, importProfile } from './profiles.js';
+
+const STORAGE_KEY = 'terrain.customProfiles';
+
+// Register the custom profiles saved in storage. Profiles that no longer validate are skipped.
+// Returns the keys of the profiles loaded.
+export function loadCustomProfiles(storage = window.localStorage) {
+  let saved;
+  try {
+    saved = JSON.parse(storage.getItem(STORAGE_KEY) || '{}');
+  } catch (error) {
+    console.warn('Saved terrain profiles are unreadable and were ignored', error);
+    return [];
+  }
+  
+  const loaded = [];
+  for (const [key, profile] of Object.entries(saved)) {
+    try {
+      registerProfile(key, profile);
+      loaded.push(key);
+    } catch (error) {
+      console.warn(`Saved terrain profile "${key}" was skipped`, error);
+    }
+  }
+  
+  return loaded;
+}
+
+// Save every custom profile to storage
+export function saveCustomProfiles(storage = window.localStorage) {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(getCustomProfiles()));
+  } catch (error) {
+    // Storage can be full or disabled; the profiles still work for this session
+    console.warn('Terrain profiles could not be saved', error);
+  }
+}
+
+// Download a profile as a JSON file
+export function downloadProfile(key) {
+  const blob = new Blob([exportProfile(key)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${key}.terrain-profile.json`;
+  link.click();
+  
+  URL.revokeObjectURL(url);
+}
+
+// Import profiles from JSON files, e.g. dropped onto the page. Returns the keys imported and
+// the files that failed, with the reason.
+export async function importProfileFiles(files) {
+  const imported = [];
+  const failed = [];
+  
+  for (const file of files) {
+    try {
+      imported.push(importProfile(await file.text()));
+    } catch (error) {
+      failed.push({ file: file.name, error: error.message });
+    }
+  }
+  
+  return { imported, failed };
+}
@@ -1,5 +1,6 @@
 // src/terrain/profiles.js
 // Terrain profile system for different mountain range types
+import { NOISE_BASES, getNoiseBasisWeights } from './noise-bases.js';
 
 // Define terrain profiles
 export const TerrainProfiles = {
@@ -15,7 +16,11 @@ export const TerrainProfiles = {
         ridge: 0.7,
         exponent: 1.8,
         heightScale: 90,
-        smoothingPasses: 2
+        smoothingPasses: 2,
+        erosionDroplets: 0.5,       // Hydraulic erosion droplets per macro cell
+        erosionRate: 0.3,
+        erosionDeposition: 0.3,
+        detailErosionDroplets: 0.25 // Droplets per micro sample for the per-chunk detail pass
       }
     },
     
@@ -31,7 +36,13 @@ export const TerrainProfiles = {
         ridge: 0.85,
         exponent: 2.2,
         heightScale: 130,
-        smoothingPasses: 0
+        smoothingPasses: 0,
+        erosionDroplets: 0.03,
+        erosionRate: 0.15,
+        erosionDeposition: 0.2,
+        detailErosionDroplets: 0,
+        talusAngle: 35,             // Steepest slope (degrees) loose rock can rest at
+        thermalIterations: 6
       }
     },
     
@@ -48,7 +59,14 @@ export const TerrainProfiles = {
         exponent: 2.3,
         heightScale: 150,
         smoothingPasses: 0,
-        asymmetry: 0.6
+        asymmetry: 0.6,             // Escarpment on one side of the ridges, long slopes on the other
+        asymmetryDirection: 0,      // Direction the steep side faces, in radians from east
+        erosionDroplets: 0.1,
+        erosionRate: 0.2,
+        erosionDeposition: 0.3,
+        detailErosionDroplets: 0,
+        talusAngle: 33,
+        thermalIterations: 5
       }
     },
     
@@ -64,7 +82,11 @@ export const TerrainProfiles = {
         ridge: 0.5,
         exponent: 1.4,
         heightScale: 40,
-        smoothingPasses: 3
+        smoothingPasses: 3,
+        erosionDroplets: 0.4,
+        erosionRate: 0.3,
+        erosionDeposition: 0.4,
+        detailErosionDroplets: 0.15
       }
     },
     
@@ -82,25 +104,129 @@ export const TerrainProfiles = {
         heightScale: 150,
         smoothingPasses: 0
       }
+    },
+    
+    // Badlands - soft sediments cut into closely stacked ledges and gullies
+    badlands: {
+      name: "Badlands",
+      description: "Eroded sedimentary hills with thin, colorful rock layers",
+      params: {
+        noiseBasis: 'billow',
+        octaves: 6,
+        persistence: 0.5,
+        lacunarity: 2.2,
+        initialFrequency: 1.2,
+        ridge: 0.6,
+        exponent: 1.6,
+        heightScale: 60,
+        smoothingPasses: 0,
+        terracing: 0.85,            // How strongly heights step into terraces (0-1)
+        terraceHeight: 4,           // Thickness of each rock layer in metres
+        terraceSoftness: 0.35,      // Fraction of each layer taken by the riser up to the next
+        terraceNoise: 0.6,          // How far layer boundaries wander, in layers
+        erosionDroplets: 0.3,
+        erosionRate: 0.4,
+        erosionDeposition: 0.2,
+        detailErosionDroplets: 0.2
+      }
+    },
+    
+    // Canyonlands - broad plateaus of flat-lying rock broken by stepped cliffs
+    canyonlands: {
+      name: "Canyonlands",
+      description: "Stepped sandstone plateaus and mesas with sheer layered cliffs",
+      params: {
+        noiseBasis: 'worley',
+        worleyEdge: 0.25,
+        octaves: 5,
+        persistence: 0.4,
+        lacunarity: 2.0,
+        initialFrequency: 0.9,
+        ridge: 0.7,
+        exponent: 1.3,
+        heightScale: 110,
+        smoothingPasses: 0,
+        terracing: 1,
+        terraceHeight: 14,
+        terraceSoftness: 0.15,
+        terraceNoise: 0.25,
+        erosionDroplets: 0.05,
+        erosionRate: 0.2,
+        erosionDeposition: 0.2,
+        detailErosionDroplets: 0
+      }
     }
   };
   
   // Default profile to use
   export const defaultProfile = "appalachian";
   
+  // Profiles that ship with the app; they can't be changed or removed at runtime
+  const builtInProfiles = new Set(Object.keys(TerrainProfiles));
+  
+  // Keys no profile can take: `regions` is the selector value for Mixed Regions, and the names
+  // every object inherits would shadow its methods
+  const reservedProfileKeys = new Set(['regions', ...Object.getOwnPropertyNames(Object.prototype)]);
+  
+  // Valid range of the params that shape the terrain. Other params only need to be numbers.
+  export const ParamRanges = {
+    octaves: { min: 1, max: 12, integer: true },
+    persistence: { min: 0, max: 1 },
+    lacunarity: { min: 1, max: 4 },
+    ridge: { min: 0, max: 1 },
+    exponent: { min: 0.1, max: 5 },
+    heightScale: { min: 1, max: 500 },
+    asymmetry: { min: 0, max: 1 },
+    asymmetryDirection: { min: -2 * Math.PI, max: 2 * Math.PI },
+    warpStrength: { min: 0, max: 4 },       // Domain-warped basis: how far coordinates are pushed
+    warpFrequency: { min: 0.1, max: 8 },    // Domain-warped basis: frequency of the warp
+    multifractalGain: { min: 0, max: 4 },   // Multifractal bases: how strongly octaves feed back
+    worleyEdge: { min: 0.01, max: 1 },      // Worley basis: width of the slopes around plateaus
+    terracing: { min: 0, max: 1 },
+    terraceHeight: { min: 0.5, max: 100 },
+    terraceSoftness: { min: 0.01, max: 1 },
+    terraceNoise: { min: 0, max: 4 },
+    smoothingPasses: { min: 0, max: 10, integer: true },
+    erosionDroplets: { min: 0, max: 2 },        // Per macro cell; every tile and its apron is eroded
+    erosionRate: { min: 0, max: 1 },
+    erosionDeposition: { min: 0, max: 1 },
+    detailErosionDroplets: { min: 0, max: 1 },  // Per micro sample, for every chunk generated
+    talusAngle: { min: 5, max: 90 },
+    thermalIterations: { min: 0, max: 20, integer: true }  // Each one adds a sample of padding to every chunk
+  };
+  
+  // Params every profile must have
+  const REQUIRED_PARAMS = ['octaves', 'persistence', 'lacunarity', 'ridge', 'exponent', 'heightScale'];
+  
+  // Functions called as (key, change) whenever a profile is registered, updated or removed
+  const changeListeners = new Set();
+  
   // Get a profile by name
   export function getProfile(profileName) {
-    if (TerrainProfiles[profileName]) {
+    if (Object.hasOwn(TerrainProfiles, profileName)) {
       return TerrainProfiles[profileName];
     }
     
     return TerrainProfiles[defaultProfile];
   }
   
-  // Blend between two profiles with a weight factor (0-1)
+  // Values of the optional params that leave the terrain as it is, so a profile without one
+  // blends smoothly with a profile that has it
+  const NEUTRAL_PARAMS = {
+    erosionDroplets: 0,
+    detailErosionDroplets: 0,
+    talusAngle: 90,
+    thermalIterations: 0,
+    asymmetry: 0,
+    terracing: 0
+  };
+  
+  // Blend between two profiles, given by name or as profile objects, with a weight factor (0-1)
   export function blendProfiles(profile1Name, profile2Name, blendFactor = 0.5) {
-    const profile1 = getProfile(profile1Name).params;
-    const profile2 = getProfile(profile2Name).params;
+    const first = typeof profile1Name === 'string' ? getProfile(profile1Name) : profile1Name;
+    const second = typeof profile2Name === 'string' ? getProfile(profile2Name) : profile2Name;
+    const profile1 = first.params;
+    const profile2 = second.params;
     
     // Clamp blend factor
     const factor = Math.max(0, Math.min(1, blendFactor));
@@ -112,19 +238,225 @@ export const TerrainProfiles = {
     const allKeys = new Set([...Object.keys(profile1), ...Object.keys(profile2)]);
     
     for (const key of allKeys) {
-      if (profile1[key] !== undefined && profile2[key] !== undefined) {
-        blendedParams[key] = profile1[key] * (1 - factor) + profile2[key] * factor;
-      } else if (profile1[key] !== undefined) {
-        blendedParams[key] = profile1[key];
+      if (key === 'noiseBasis' || key === 'noiseBases') continue;
+      
+      const value1 = profile1[key] ?? NEUTRAL_PARAMS[key];
+      const value2 = profile2[key] ?? NEUTRAL_PARAMS[key];
+      
+      if (value1 !== undefined && value2 !== undefined) {
+        blendedParams[key] = value1 * (1 - factor) + value2 * factor;
+      } else if (value1 !== undefined) {
+        blendedParams[key] = value1;
       } else {
-        blendedParams[key] = profile2[key];
+        blendedParams[key] = value2;
       }
     }
     
+    // Noise bases can't be interpolated, so a blend of different bases keeps a weight for each
+    const bases1 = getNoiseBasisWeights(profile1);
+    const bases2 = getNoiseBasisWeights(profile2);
+    const bases = {};
+    for (const basis of new Set([...Object.keys(bases1), ...Object.keys(bases2)])) {
+      bases[basis] = (bases1[basis] || 0) * (1 - factor) + (bases2[basis] || 0) * factor;
+    }
+    
+    const usedBases = Object.keys(bases).filter(basis => bases[basis] > 0);
+    if (usedBases.length === 1) {
+      blendedParams.noiseBasis = usedBases[0];
+    } else {
+      blendedParams.noiseBases = bases;
+    }
+    
     // Return a new profile with blended parameters
     return {
-      name: `Blend of ${getProfile(profile1Name).name} and ${getProfile(profile2Name).name}`,
+      name: `Blend of ${first.name} and ${second.name}`,
       description: `A ${Math.round(factor * 100)}% blend between two terrain types`,
       params: blendedParams
     };
+  }
+  
+  
+  // Check a profile ({ name, description, params }). Returns a list of problems, empty when valid.
+  export function validateProfile(profile) {
+    if (!profile || typeof profile !== 'object') return ['Profile must be an object'];
+    
+    const errors = [];
+    if (typeof profile.name !== 'string' || profile.name.trim() === '') {
+      errors.push('Profile needs a name');
+    }
+    if (profile.description !== undefined && typeof profile.description !== 'string') {
+      errors.push('Description must be text');
+    }
+    if (!profile.params || typeof profile.params !== 'object') {
+      errors.push('Profile needs params');
+      return errors;
+    }
+    
+    for (const key of REQUIRED_PARAMS) {
+      if (profile.params[key] === undefined) errors.push(`Missing param ${key}`);
+    }
+    
+    const { noiseBasis, noiseBases, ...numericParams } = profile.params;
+    if (noiseBasis !== undefined && !NOISE_BASES.includes(noiseBasis)) {
+      errors.push(`Param noiseBasis must be one of ${NOISE_BASES.join(', ')}`);
+    }
+    if (noiseBases !== undefined) {
+      const valid = noiseBases && typeof noiseBases === 'object' && Object.entries(noiseBases).every(
+        ([basis, weight]) => NOISE_BASES.includes(basis) && typeof weight === 'number' && weight >= 0
+      );
+      if (!valid) errors.push('Param noiseBases must map noise bases to weights');
+    }
+    
+    for (const [key, value] of Object.entries(numericParams)) {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`Param ${key} must be a number`);
+        continue;
+      }
+      
+      const range = ParamRanges[key];
+      if (!range) continue;
+      if (value < range.min || value > range.max) {
+        errors.push(`Param ${key} must be between ${range.min} and ${range.max}`);
+      } else if (range.integer && !Number.isInteger(value)) {
+        errors.push(`Param ${key} must be a whole number`);
+      }
+    }
+    
+    return errors;
+  }
+  
+  // Throw if a profile isn't valid
+  function assertValidProfile(profile) {
+    const errors = validateProfile(profile);
+    if (errors.length > 0) {
+      throw new Error(`Invalid terrain profile: ${errors.join('; ')}`);
+    }
+  }
+  
+  // Whether a profile was added at runtime rather than shipped with the app
+  export function isCustomProfile(key) {
+    return Object.hasOwn(TerrainProfiles, key) && !builtInProfiles.has(key);
+  }
+  
+  // Add a new profile under a key
+  export function registerProfile(key, profile) {
+    if (typeof key !== 'string' || !/^[A-Za-z0-9_-]+$/.test(key)) {
+      throw new Error(`Invalid profile key "${key}": use letters, digits, - and _`);
+    }
+    if (reservedProfileKeys.has(key)) {
+      throw new Error(`"${key}" is reserved and can't be used as a profile key`);
+    }
+    if (Object.hasOwn(TerrainProfiles, key)) {
+      throw new Error(`A terrain profile named "${key}" already exists`);
+    }
+    assertValidProfile(profile);
+    
+    TerrainProfiles[key] = copyProfile(profile);
+    notifyProfileChange(key, 'register');
+    return TerrainProfiles[key];
+  }
+  
+  // Change a custom profile. Changes are merged in; params are merged param by param.
+  export function updateProfile(key, changes) {
+    assertCustomProfile(key);
+    
+    const current = TerrainProfiles[key];
+    const updated = {
+      ...current,
+      ...changes,
+      params: { ...current.params, ...changes.params }
+    };
+    assertValidProfile(updated);
+    
+    TerrainProfiles[key] = copyProfile(updated);
+    notifyProfileChange(key, 'update');
+    return TerrainProfiles[key];
+  }
+  
+  // Remove a custom profile
+  export function removeProfile(key) {
+    assertCustomProfile(key);
+    
+    delete TerrainProfiles[key];
+    notifyProfileChange(key, 'remove');
+  }
+  
+  // Every profile added at runtime, by key
+  export function getCustomProfiles() {
+    return Object.fromEntries(Object.keys(TerrainProfiles)
+      .filter(isCustomProfile)
+      .map(key => [key, TerrainProfiles[key]]));
+  }
+  
+  // Be told about registered, updated and removed profiles. Returns a function that unsubscribes.
+  export function onProfileChange(listener) {
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+  }
+  
+  // Serialize a profile to JSON, in the form importProfile reads
+  export function exportProfile(key) {
+    if (!Object.hasOwn(TerrainProfiles, key)) {
+      throw new Error(`Unknown terrain profile "${key}"`);
+    }
+    
+    const { name, description = '', params } = TerrainProfiles[key];
+    return JSON.stringify({ key, name, description, params }, null, 2);
+  }
+  
+  // Register a profile from JSON written by exportProfile, replacing a custom profile with the
+  // same key. A profile exported from a built-in one, or under a reserved key, gets a new key, so
+  // it can be edited freely. Returns the profile's key.
+  export function importProfile(json) {
+    let data;
+    try {
+      data = typeof json === 'string' ? JSON.parse(json) : json;
+    } catch (error) {
+      throw new Error(`Terrain profile is not valid JSON: ${error.message}`);
+    }
+    assertValidProfile(data);
+    
+    let key = typeof data.key === 'string' && data.key ? data.key : createProfileKey(data.name);
+    if (builtInProfiles.has(key) || reservedProfileKeys.has(key)) {
+      key = createProfileKey(`${key}-custom`);
+    }
+    
+    const profile = { name: data.name, description: data.description || '', params: data.params };
+    if (isCustomProfile(key)) {
+      updateProfile(key, profile);
+    } else {
+      registerProfile(key, profile);
+    }
+    
+    return key;
+  }
+  
+  // A profile key derived from a name that isn't taken by a built-in profile or reserved
+  function createProfileKey(name) {
+    const base = name.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'profile';
+    let key = base;
+    for (let n = 2; builtInProfiles.has(key) || reservedProfileKeys.has(key); n++) {
+      key = `${base}-${n}`;
+    }
+    return key;
+  }
+  
+  function assertCustomProfile(key) {
+    if (builtInProfiles.has(key)) {
+      throw new Error(`"${key}" is a built-in terrain profile and can't be changed; export it to make a copy`);
+    }
+    if (!Object.hasOwn(TerrainProfiles, key)) {
+      throw new Error(`Unknown terrain profile "${key}"`);
+    }
+  }
+  
+  // Profiles are stored as copies, so callers can't change them behind the registry's back
+  function copyProfile({ name, description = '', params }) {
+    return { name, description, params: { ...params } };
+  }
+  
+  function notifyProfileChange(key, change) {
+    for (const listener of changeListeners) {
+      listener(key, change);
+    }
   }
\ No newline at end of file
@@ -0,0 +1,347 @@
+// src/terrain/stamps.js
+// Landform stamps: parametric volcanoes, mesas, canyons, craters and glacial valleys laid onto
+// the terrain after its noise. Each stamp is a pure function of world position, so chunks
+// that share a border agree on it.
+import { smoothstep } from './terrain-generator.js';
+
+// Stamp types with their default sizes (metres) and how likely each biome is to hold one.
+// `biomes` gives the chance that a procedural candidate in that biome becomes this stamp.
+export const StampTypes = {
+  volcano: {
+    name: "Volcano",
+    defaults: {
+      radius: 700,          // Base radius of the cone
+      height: 90,           // Height of the cone above the surrounding terrain
+      calderaRadius: 0.2,   // Caldera radius as a fraction of the cone radius
+      calderaDepth: 0.3     // Caldera depth as a fraction of the cone height
+    },
+    biomes: { alpineMeadow: 0.12, tundra: 0.08, forest: 0.05, grassland: 0.04, desertScrub: 0.06 }
+  },
+  
+  mesa: {
+    name: "Mesa",
+    defaults: {
+      radius: 250,          // Radius of the flat top
+      height: 35,           // Height of the top above `baseHeight`, unless `top` sets it outright
+      cliffWidth: 12,       // Horizontal width of the cliff band
+      talusWidth: 0.4,      // Width of the scree slope at the cliff foot, as a fraction of the radius
+      lobes: 0.15,          // How far the outline wanders from a circle, as a fraction of the radius
+      phase: 0              // Turns the irregular outline
+    },
+    biomes: { desertScrub: 0.45, grassland: 0.12 }
+  },
+  
+  canyon: {
+    name: "Canyon",
+    defaults: {
+      points: [],           // Control points of the spline the canyon follows: [{ x, z }]
+      width: 80,            // Width from rim to rim
+      floorWidth: 0.35,     // Width of the flat floor as a fraction of the full width
+      depth: 30,
+      taper: 300            // Distance over which the canyon shallows out at each end
+    },
+    biomes: { desertScrub: 0.3, grassland: 0.08, forest: 0.03 }
+  },
+  
+  crater: {
+    name: "Impact Crater",
+    defaults: {
+      radius: 150,          // Radius of the rim
+      depth: 35,            // Depth of the bowl below the surrounding terrain
+      rimHeight: 8          // Height of the rim; ejecta fall away over another radius outside it
+    },
+    biomes: { desertScrub: 0.06, tundra: 0.05, grassland: 0.03, forest: 0.02, alpineMeadow: 0.03, wetland: 0.02 }
+  },
+  
+  uValley: {
+    name: "Glacial Valley",
+    defaults: {
+      points: [],           // Control points of the spline the valley follows: [{ x, z }]
+      width: 350,           // Width from shoulder to shoulder
+      depth: 45,
+      taper: 500
+    },
+    biomes: { tundra: 0.35, alpineMeadow: 0.3, forest: 0.04 }
+  }
+};
+
+// Stamp type names in a fixed order, so procedural placement is deterministic
+export const STAMP_TYPES = Object.keys(StampTypes);
+
+// Spacing of the polyline a spline stamp is flattened into, as a fraction of its width
+const PATH_STEP = 0.5;
+
+// Flatten control points into a Catmull-Rom polyline, with the distance along it at every point
+function createPath(controlPoints, step) {
+  const points = [];
+  const at = i => controlPoints[Math.max(0, Math.min(controlPoints.length - 1, i))];
+  
+  for (let i = 0; i < controlPoints.length - 1; i++) {
+    const p0 = at(i - 1), p1 = at(i), p2 = at(i + 1), p3 = at(i + 2);
+    const steps = Math.max(1, Math.ceil(Math.hypot(p2.x - p1.x, p2.z - p1.z) / step));
+    
+    for (let s = i === 0 ? 0 : 1; s <= steps; s++) {
+      const t = s / steps;
+      const t2 = t * t;
+      const t3 = t2 * t;
+      const spline = (a, b, c, d) => 0.5 * (
+        2 * b + (c - a) * t + (2 * a - 5 * b + 4 * c - d) * t2 + (3 * b - a - 3 * c + d) * t3
+      );
+      points.push({ x: spline(p0.x, p1.x, p2.x, p3.x), z: spline(p0.z, p1.z, p2.z, p3.z), distance: 0 });
+    }
+  }
+  
+  for (let i = 1; i < points.length; i++) {
+    points[i].distance = points[i - 1].distance +
+      Math.hypot(points[i].x - points[i - 1].x, points[i].z - points[i - 1].z);
+  }
+  
+  return { points, length: points.length > 0 ? points[points.length - 1].distance : 0 };
+}
+
+// Distance from a position to a path, and how far along the path the closest point is
+function getClosestOnPath(path, worldX, worldZ) {
+  let distance = Infinity;
+  let along = 0;
+  
+  for (let i = 0; i < path.points.length - 1; i++) {
+    const a = path.points[i];
+    const b = path.points[i + 1];
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const lengthSq = dx * dx + dz * dz;
+    const t = lengthSq > 0 ?
+      Math.max(0, Math.min(1, ((worldX - a.x) * dx + (worldZ - a.z) * dz) / lengthSq)) :
+      0;
+    
+    const d = Math.hypot(worldX - (a.x + dx * t), worldZ - (a.z + dz * t));
+    if (d < distance) {
+      distance = d;
+      along = a.distance + (b.distance - a.distance) * t;
+    }
+  }
+  
+  return { distance, along };
+}
+
+// Depth factor (0-1) of a spline stamp at a position, fading in over the taper at both ends.
+// A stamp without a taper keeps its full depth to its very ends.
+function getPathTaper(stamp, along) {
+  if (!(stamp.taper > 0)) return 1;
+  return smoothstep(Math.min(along, stamp.path.length - along) / stamp.taper);
+}
+
+// Each shape takes a stamp and a terrain height at a position and returns the stamped height
+const StampShapes = {
+  // A concave cone with a flat-floored caldera sunk into its summit
+  volcano: (stamp, worldX, worldZ, height) => {
+    const r = Math.hypot(worldX - stamp.x, worldZ - stamp.z) / stamp.radius;
+    if (r >= 1) return height;
+    
+    const cone = stamp.height * (1 - Math.max(r, stamp.calderaRadius)) ** 1.5;
+    const caldera = r < stamp.calderaRadius ?
+      stamp.height * stamp.calderaDepth * (1 - (r / stamp.calderaRadius) ** 4) :
+      0;
+    
+    return height + cone - caldera;
+  },
+  
+  // A flat top at a fixed height inside an irregular outline, ringed by a cliff with a scree
+  // slope at its foot. Terrain already higher than the top is left alone.
+  mesa: (stamp, worldX, worldZ, height) => {
+    const dx = worldX - stamp.x;
+    const dz = worldZ - stamp.z;
+    const angle = Math.atan2(dz, dx);
+    const edge = stamp.radius * (1 +
+      stamp.lobes * (0.65 * Math.sin(3 * angle + stamp.phase) + 0.35 * Math.sin(5 * angle + stamp.phase * 2.3)));
+    const distance = Math.hypot(dx, dz);
+    
+    const talusWidth = stamp.talusWidth * stamp.radius;
+    const cliff = smoothstep((edge - distance) / stamp.cliffWidth);
+    const talus = 0.35 * Math.max(0, 1 - (distance - edge) / talusWidth) ** 2;
+    const cover = Math.max(cliff, Math.min(0.35, talus));
+    
+    return Math.max(height, height + (stamp.top - height) * cover);
+  },
+  
+  // A flat-floored gorge with steep walls along a spline
+  canyon: (stamp, worldX, worldZ, height) => {
+    const { distance, along } = getClosestOnPath(stamp.path, worldX, worldZ);
+    const halfWidth = stamp.width / 2;
+    if (distance >= halfWidth) return height;
+    
+    const floor = halfWidth * stamp.floorWidth;
+    const wall = 1 - smoothstep((distance - floor) / (halfWidth - floor));
+    return height - stamp.depth * wall * getPathTaper(stamp, along);
+  },
+  
+  // A bowl with a raised rim, and ejecta thinning out over another radius beyond it
+  crater: (stamp, worldX, worldZ, height) => {
+    const r = Math.hypot(worldX - stamp.x, worldZ - stamp.z) / stamp.radius;
+    if (r >= 2) return height;
+    
+    if (r < 1) {
+      return height - stamp.depth * (1 - r * r) + stamp.rimHeight * r ** 4;
+    }
+    return height + stamp.rimHeight * (1 - smoothstep(r - 1)) ** 2;
+  },
+  
+  // A broad trough with a flat floor and steepening sides along a spline, as glaciers carve
+  uValley: (stamp, worldX, worldZ, height) => {
+    const { distance, along } = getClosestOnPath(stamp.path, worldX, worldZ);
+    const q = distance / (stamp.width / 2);
+    if (q >= 1) return height;
+    
+    return height - stamp.depth * (1 - q ** 4) ** 2 * getPathTaper(stamp, along);
+  }
+};
+
+/**
+ * Build a stamp from options such as { type: 'volcano', x, z, radius, height } or
+ * { type: 'canyon', points: [{ x, z }, ...], width, depth }. Missing sizes take the type's
+ * defaults. Mesas need `top`, the height of their flat top, or the `baseHeight` of the
+ * terrain they stand on. The stamp gets the world bounds it changes the terrain within.
+ */
+export function createStamp(options) {
+  const type = StampTypes[options.type];
+  if (!type) {
+    throw new Error(`Unknown stamp type "${options.type}"`);
+  }
+  
+  const stamp = { ...type.defaults, ...options };
+  
+  if (options.type === 'mesa' && !Number.isFinite(stamp.top)) {
+    if (!Number.isFinite(stamp.baseHeight)) {
+      throw new Error('A mesa stamp needs a top or base height');
+    }
+    stamp.top = stamp.baseHeight + stamp.height;
+  }
+  
+  if ('points' in type.defaults) {
+    if (!Array.isArray(stamp.points) || stamp.points.length < 2) {
+      throw new Error(`A ${options.type} stamp needs at least two points`);
+    }
+    stamp.path = createPath(stamp.points, stamp.width * PATH_STEP);
+    
+    const reach = stamp.width / 2;
+    stamp.minX = Math.min(...stamp.path.points.map(p => p.x)) - reach;
+    stamp.maxX = Math.max(...stamp.path.points.map(p => p.x)) + reach;
+    stamp.minZ = Math.min(...stamp.path.points.map(p => p.z)) - reach;
+    stamp.maxZ = Math.max(...stamp.path.points.map(p => p.z)) + reach;
+  } else {
+    if (!Number.isFinite(stamp.x) || !Number.isFinite(stamp.z)) {
+      throw new Error(`A ${options.type} stamp needs a position`);
+    }
+    
+    const reach = getStampReach(stamp);
+    stamp.minX = stamp.x - reach;
+    stamp.maxX = stamp.x + reach;
+    stamp.minZ = stamp.z - reach;
+    stamp.maxZ = stamp.z + reach;
+  }
+  
+  return stamp;
+}
+
+// How far from its centre a round stamp changes the terrain
+function getStampReach(stamp) {
+  switch (stamp.type) {
+    case 'mesa': return stamp.radius * (1 + stamp.lobes + stamp.talusWidth);
+    case 'crater': return stamp.radius * 2;
+    default: return stamp.radius;
+  }
+}
+
+// Options of a stamp moved by an offset, keeping its shape
+export function translateStampOptions(options, dx, dz) {
+  if (options.points) {
+    return { ...options, points: options.points.map(p => ({ x: p.x + dx, z: p.z + dz })) };
+  }
+  return { ...options, x: options.x + dx, z: options.z + dz };
+}
+
+// Height of the terrain at a position after a stamp is laid on it
+export function applyStamp(stamp, worldX, worldZ, height) {
+  if (worldX < stamp.minX || worldX > stamp.maxX || worldZ < stamp.minZ || worldZ > stamp.maxZ) {
+    return height;
+  }
+  return StampShapes[stamp.type](stamp, worldX, worldZ, height);
+}
+
+// Chance of each stamp type at a procedural candidate, from the weight of each biome there
+// ({ biomeId: weight }), in STAMP_TYPES order
+export function getStampTypeChances(biomeWeights) {
+  return STAMP_TYPES.map(type => {
+    const { biomes } = StampTypes[type];
+    let chance = 0;
+    for (const [biome, weight] of Object.entries(biomeWeights)) {
+      chance += weight * (biomes[biome] || 0);
+    }
+    return chance;
+  });
+}
+
+// Options of a procedural stamp centred on a position, sized and shaped by a random source.
+// Mesas still need the height of the terrain they stand on.
+export function createRandomStampOptions(type, x, z, random) {
+  switch (type) {
+    case 'volcano':
+      return {
+        type, x, z,
+        radius: 450 + random() * 500,
+        height: 60 + random() * 80,
+        calderaRadius: 0.12 + random() * 0.12,
+        calderaDepth: 0.2 + random() * 0.2
+      };
+    case 'mesa':
+      return {
+        type, x, z,
+        radius: 120 + random() * 260,
+        height: 20 + random() * 35,
+        cliffWidth: 8 + random() * 10,
+        phase: random() * Math.PI * 2
+      };
+    case 'crater': {
+      // Bigger craters are deeper, with higher rims
+      const size = random();
+      return { type, x, z, radius: 60 + size * 200, depth: 15 + size * 30, rimHeight: 3 + size * 9 };
+    }
+    case 'canyon':
+      return {
+        type,
+        points: createMeander(x, z, 5, 350, 600, 0.7, random),
+        width: 50 + random() * 70,
+        depth: 20 + random() * 30
+      };
+    case 'uValley':
+      return {
+        type,
+        points: createMeander(x, z, 4, 450, 700, 0.35, random),
+        width: 250 + random() * 250,
+        depth: 30 + random() * 40
+      };
+    default:
+      throw new Error(`Unknown stamp type "${type}"`);
+  }
+}
+
+// Control points of a wandering line centred on a position: `count` points, each a random
+// step further on and turned by up to `maxTurn` radians
+function createMeander(x, z, count, minStep, maxStep, maxTurn, random) {
+  let heading = random() * Math.PI * 2;
+  const points = [{ x: 0, z: 0 }];
+  
+  for (let i = 1; i < count; i++) {
+    const step = minStep + random() * (maxStep - minStep);
+    heading += (random() * 2 - 1) * maxTurn;
+    points.push({
+      x: points[i - 1].x + Math.cos(heading) * step,
+      z: points[i - 1].z + Math.sin(heading) * step
+    });
+  }
+  
+  // Centre the line on the position
+  const centerX = (Math.min(...points.map(p => p.x)) + Math.max(...points.map(p => p.x))) / 2;
+  const centerZ = (Math.min(...points.map(p => p.z)) + Math.max(...points.map(p => p.z))) / 2;
+  return points.map(p => ({ x: x + p.x - centerX, z: z + p.z - centerZ }));
+}
@@ -0,0 +1,2500 @@
+// src/terrain/terrain-generator.js
+// Terrain generation pipeline shared by the main thread and the chunk workers.
+// It only depends on a plain settings snapshot, so it can run inside a Web Worker.
+import * as THREE from 'three';
+import { createNoise2D } from 'simplex-noise';
+import { createSeededRandom, deriveSeed } from '../utils/random.js';
+import { applyHydraulicErosion, applyThermalErosion, DEFAULT_EROSION } from './erosion.js';
+import { blendProfiles } from './profiles.js';
+import { fractalNoise } from './noise-bases.js';
+import { STAMP_TYPES, applyStamp, createRandomStampOptions, createStamp, getStampTypeChances, translateStampOptions } from './stamps.js';
+import { computeDistanceField, computeFlowAccumulation, computeFlowDirections, extractRiverCells, fillDepressions, findBasins } from './drainage.js';
+import {
+  BIOME_IDS, MAX_VEGETATION_DENSITY, blendBiomeColor, blendBiomeDetail, blendBiomeGround,
+  blendVegetationDensities, describeBiome, getBiomeWeights
+} from './biomes.js';
+import { TERRAIN_LAYERS, TerrainLayer } from './terrain-layers.js';
+
+// Bump whenever a change to the pipeline changes its output, so cached chunks are discarded
+export const GENERATOR_VERSION = 20;
+
+// Smooth 0-1 ramp
+export function smoothstep(t) {
+  const x = Math.max(0, Math.min(1, t));
+  return x * x * (3 - 2 * x);
+}
+
+// Rock colors of sedimentary layers; each layer of terraced terrain takes one, picked by seed
+const STRATA_COLORS = [
+  [0.72, 0.45, 0.3],   // Red sandstone
+  [0.82, 0.66, 0.47],  // Buff sandstone
+  [0.6, 0.36, 0.26],   // Iron-rich shale
+  [0.86, 0.8, 0.68],   // Pale limestone
+  [0.55, 0.44, 0.36],  // Mudstone
+  [0.76, 0.56, 0.38]   // Siltstone
+];
+
+// Build the triangle index for a square grid, matching PlaneGeometry's layout
+export function createGridIndex(resolution) {
+  const segments = resolution - 1;
+  const index = new Uint32Array(segments * segments * 6);
+  let i = 0;
+  
+  for (let iy = 0; iy < segments; iy++) {
+    for (let ix = 0; ix < segments; ix++) {
+      const a = ix + resolution * iy;
+      const b = ix + resolution * (iy + 1);
+      const c = (ix + 1) + resolution * (iy + 1);
+      const d = (ix + 1) + resolution * iy;
+      
+      index[i++] = a; index[i++] = b; index[i++] = d;
+      index[i++] = b; index[i++] = c; index[i++] = d;
+    }
+  }
+  
+  return index;
+}
+
+// Number of skirt vertices hung below the border of a grid
+function getSkirtVertexCount(resolution) {
+  return 4 * (resolution - 1);
+}
+
+// Grid indices of the border vertices, walking the perimeter so skirt faces point outwards
+function getBorderVertices(resolution) {
+  const last = resolution - 1;
+  const border = [];
+  
+  for (let x = 0; x < last; x++) border.push(x);                         // North edge, +x
+  for (let z = 0; z < last; z++) border.push(z * resolution + last);     // East edge, +z
+  for (let x = last; x > 0; x--) border.push(last * resolution + x);     // South edge, -x
+  for (let z = last; z > 0; z--) border.push(z * resolution);            // West edge, -z
+  
+  return border;
+}
+
+// Build the full chunk index: the surface grid plus a skirt around its border.
+// Skirts hide the cracks between neighbouring chunks at different levels of detail.
+export function createChunkIndex(resolution) {
+  const gridIndex = createGridIndex(resolution);
+  const skirtCount = getSkirtVertexCount(resolution);
+  const index = new Uint32Array(gridIndex.length + skirtCount * 6);
+  index.set(gridIndex);
+  
+  const border = getBorderVertices(resolution);
+  const skirtStart = resolution * resolution;
+  let i = gridIndex.length;
+  
+  for (let b = 0; b < skirtCount; b++) {
+    const next = (b + 1) % skirtCount;
+    const top0 = border[b];
+    const top1 = border[next];
+    const bottom0 = skirtStart + b;
+    const bottom1 = skirtStart + next;
+    
+    index[i++] = top0; index[i++] = top1; index[i++] = bottom0;
+    index[i++] = top1; index[i++] = bottom1; index[i++] = bottom0;
+  }
+  
+  return index;
+}
+
+export class TerrainGenerator {
+  constructor(settings) {
+    this.seed = settings.seed;
+    this.profileParams = settings.profileParams;
+    this.regions = settings.regions && settings.regions.enabled ? settings.regions : null;
+    this.heightScale = settings.heightScale;
+    this.noiseScales = settings.noiseScales;
+    this.elevationZones = settings.elevationZones;
+    this.nonlinearScaling = settings.nonlinearScaling;
+    this.waterLevel = settings.waterLevel;
+    this.rivers = settings.rivers;
+    this.lakes = settings.lakes;
+    this.stamps = settings.stamps;
+    this.climate = settings.climate;
+    this.vegetation = settings.vegetation;
+    this.cliffs = settings.cliffs;
+    this.snow = settings.snow;
+    this.macroResolution = settings.macroResolution;
+    this.macroSize = settings.macroSize;
+    this.microResolution = settings.microResolution;
+    this.microSize = settings.microSize;
+    
+    this.skirtDepth = settings.skirtDepth;
+    
+    this.macroLatticeSpacing = this.microSize / 16; // World spacing of macro samples under a chunk
+    this.slopeSampleDistance = 5;     // Distance used to measure the macro slope
+    this.erosionApron = 16;           // Extra macro cells eroded around each tile
+    this.drainageApron = this.macroResolution / 2; // Extra macro cells drained around each tile
+    
+    this.macroTerrain = null;         // Macro tile at the world origin
+    this.macroTiles = new Map();      // 'x,z' -> macro tile, generated on demand
+    this.erosionWindows = new Map();  // 'x,z' -> eroded heights for a tile and its apron
+    this.drainageNetworks = new Map(); // 'x,z' -> rivers and lakes of a macro tile
+    this.climateMaps = new Map();     // 'x,z' -> moisture of a macro tile
+    this.stampTiles = new Map();      // 'x,z' -> procedural stamps of a macro tile
+    this.placedStamps = null;         // Hand-placed stamps, built on first use
+    this.heightStats = null;          // Height range of the world, measured on first use
+    this.lastClimateMap = null;       // Climate map of the last moisture lookup
+    this.biomeWeights = new Float32Array(BIOME_IDS.length); // Scratch space for per-sample biome weights
+    
+    // Box-filter passes over each micro heightmap. With profile regions this is the most any
+    // region runs; each sample then stops after its own region's passes.
+    this.smoothingPasses = Math.ceil(Math.max(
+      ...this.getWorldProfiles().map(profile => profile.params.smoothingPasses || 0)
+    ));
+    this.createNoiseGenerators();
+  }
+  
+  // Create seeded noise generators for different scales
+  createNoiseGenerators() {
+    this.noiseGenerators = [];
+    for (let i = 0; i < this.noiseScales.length; i++) {
+      this.noiseGenerators.push(createNoise2D(createSeededRandom(deriveSeed(this.seed, 'scale', i))));
+    }
+    // Additional noise for detail variations
+    this.detailNoise = createNoise2D(createSeededRandom(deriveSeed(this.seed, 'detail')));
+    
+    // Slowly varying regional climate
+    this.temperatureNoise = createNoise2D(createSeededRandom(deriveSeed(this.seed, 'temperature')));
+    this.moistureNoise = createNoise2D(createSeededRandom(deriveSeed(this.seed, 'moisture')));
+    
+    // Warps the boundaries of terraced rock layers
+    this.strataNoise = createNoise2D(createSeededRandom(deriveSeed(this.seed, 'strata')));
+    
+    // Very low frequency noise that lays out profile regions
+    this.regionNoise = createNoise2D(createSeededRandom(deriveSeed(this.seed, 'regions')));
+    
+    // Offset noise coordinates so each seed samples a different region
+    this.noiseOffset = createSeededRandom(deriveSeed(this.seed, 'offset'))() * 10000;
+  }
+  
+  // Generate the macro (Level A) tile at the world origin, and measure the world's height range
+  // (see getHeightStats) while the world is loading rather than on the first lookup
+  generateMacroTerrain() {
+    const macroTerrain = this.generateMacroTile(0, 0);
+    this.setMacroTerrain(macroTerrain);
+    this.getHeightStats();
+    return macroTerrain;
+  }
+  
+  // Use macro terrain generated elsewhere (workers receive it from the main thread)
+  setMacroTerrain(macroTerrain) {
+    this.macroTerrain = macroTerrain;
+    this.macroTiles.set(`${macroTerrain.tileX},${macroTerrain.tileZ}`, macroTerrain);
+  }
+  
+  // Generate one macro tile. Tiles hold an extra row and column of samples so interpolation
+  // never needs a neighbouring tile; shared edges are sampled at the same world positions.
+  generateMacroTile(tileX, tileZ) {
+    const resolution = this.macroResolution + 1;
+    const cellSize = this.macroSize / this.macroResolution;
+    const minX = tileX * this.macroSize - this.macroSize / 2;
+    const minZ = tileZ * this.macroSize - this.macroSize / 2;
+    
+    const heightMap = this.getMacroLatticeHeights(
+      tileX * this.macroResolution - this.macroResolution / 2,
+      tileZ * this.macroResolution - this.macroResolution / 2,
+      resolution, resolution
+    );
+    
+    let minHeight = Infinity, maxHeight = -Infinity;
+    for (let i = 0; i < heightMap.length; i++) {
+      minHeight = Math.min(minHeight, heightMap[i]);
+      maxHeight = Math.max(maxHeight, heightMap[i]);
+    }
+    
+    return {
+      tileX,
+      tileZ,
+      heightMap,
+      size: this.macroSize,
+      resolution,
+      cellSize,
+      minX,
+      minZ,
+      minHeight,
+      maxHeight
+    };
+  }
+  
+  // Macro heights over a window of the global macro lattice (indices of macro cells), as the
+  // terrain is built from them: eroded whenever the macro terrain is
+  getMacroLatticeHeights(startX, startZ, width, depth) {
+    if (this.isMacroTerrainEroded()) {
+      return this.getErodedMacroHeights(startX, startZ, width, depth);
+    }
+    
+    const cellSize = this.macroSize / this.macroResolution;
+    return this.sampleMacroHeights(startX * cellSize, startZ * cellSize, width, depth);
+  }
+  
+  // Sample multi-scale heights on the macro lattice, starting at a world position
+  sampleMacroHeights(minX, minZ, width, depth) {
+    const cellSize = this.macroSize / this.macroResolution;
+    const heightMap = new Float32Array(width * depth);
+    
+    // Generate macro terrain using multi-scale composition
+    for (let z = 0; z < depth; z++) {
+      for (let x = 0; x < width; x++) {
+        const worldX = minX + x * cellSize;
+        const worldZ = minZ + z * cellSize;
+        heightMap[z * width + x] = this.generateMultiScaleHeight(
+          worldX, worldZ, this.getProfileParamsAt(worldX, worldZ)
+        );
+      }
+    }
+    
+    return heightMap;
+  }
+  
+  // Profile params at a world position. Without profile regions every position uses the
+  // world's profile; with them, neighbouring regions blend across their borders.
+  getProfileParamsAt(worldX, worldZ) {
+    return this.regions ? this.getProfileAt(worldX, worldZ).params : this.profileParams;
+  }
+  
+  // The (possibly blended) profile of the region at a world position
+  getProfileAt(worldX, worldZ) {
+    const { profiles, blend, placed } = this.regions;
+    
+    // Profiles hold at whole positions along the region field and blend around the halfway
+    // points, over the blend fraction of a region
+    const position = this.getRegionPosition(worldX, worldZ);
+    const index = Math.min(Math.floor(position), profiles.length - 2);
+    const t = index < 0 ? 0 : smoothstep((position - index - 0.5) / Math.max(blend, 1e-6) + 0.5);
+    
+    let profile;
+    if (index < 0 || t <= 0) {
+      profile = profiles[Math.max(index, 0)];
+    } else if (t >= 1) {
+      profile = profiles[index + 1];
+    } else {
+      profile = blendProfiles(profiles[index], profiles[index + 1], t);
+    }
+    
+    // Hand-placed regions override the layout inside their radius and fade out beyond it
+    for (const region of placed) {
+      const distance = Math.hypot(worldX - region.x, worldZ - region.z);
+      const weight = 1 - smoothstep((distance - region.radius) / Math.max(region.falloff, 1e-6));
+      if (weight >= 1) {
+        profile = region.profile;
+      } else if (weight > 0) {
+        profile = blendProfiles(profile, region.profile, weight);
+      }
+    }
+    
+    return profile;
+  }
+  
+  // Position along the sequence of region profiles, from 0 to the last profile's index.
+  // Bands run across the world along a direction (radians from east, the middle profile at the
+  // origin); the noise layout scatters regions irregularly.
+  getRegionPosition(worldX, worldZ) {
+    const { profiles, layout, scale, direction } = this.regions;
+    const last = profiles.length - 1;
+    
+    let position;
+    if (layout === 'bands') {
+      const distance = worldX * Math.cos(direction) + worldZ * Math.sin(direction);
+      position = distance / scale + last / 2;
+    } else {
+      const noise = this.regionNoise(worldX / scale + this.noiseOffset, worldZ / scale + this.noiseOffset);
+      position = (0.5 + 0.75 * noise) * last;
+    }
+    
+    return Math.max(0, Math.min(last, position));
+  }
+  
+  // Every profile that can appear in the world
+  getWorldProfiles() {
+    if (!this.regions) return [{ params: this.profileParams }];
+    return [...this.regions.profiles, ...this.regions.placed.map(region => region.profile)];
+  }
+  
+  // Whether macro tiles are built from eroded windows. With profile regions this holds for the
+  // whole world as soon as any region erodes, so every tile is built the same way.
+  isMacroTerrainEroded() {
+    if (!this.regions) {
+      return Boolean(this.getErosionOptions('macro') || this.getThermalErosionOptions());
+    }
+    return Boolean(this.getThermalErosionOptions()) ||
+           this.getWorldProfiles().some(profile => profile.params.erosionDroplets > 0);
+  }
+  
+  // Hydraulic erosion settings for the macro terrain or the micro detail pass, or null when
+  // the profile at a position (a tile or chunk center) doesn't erode at that level
+  getErosionOptions(level, worldX = 0, worldZ = 0) {
+    const params = this.getProfileParamsAt(worldX, worldZ);
+    const droplets = level === 'macro' ? params.erosionDroplets : params.detailErosionDroplets;
+    if (!droplets) return null;
+    
+    return {
+      droplets,
+      erosionRate: params.erosionRate ?? DEFAULT_EROSION.erosionRate,
+      depositionRate: params.erosionDeposition ?? DEFAULT_EROSION.depositionRate
+    };
+  }
+  
+  // Thermal erosion settings from the profile, or null when slopes are left as they are.
+  // With profile regions the iterations are the most any region runs, so the post-processing
+  // reach is the same everywhere, and the talus angle varies (see getTalusAngles).
+  getThermalErosionOptions() {
+    if (this.regions) {
+      const iterations = Math.max(...this.getWorldProfiles().map(profile =>
+        profile.params.talusAngle ? profile.params.thermalIterations || 0 : 0
+      ));
+      return iterations > 0 ? { talusAngle: null, iterations } : null;
+    }
+    
+    const { talusAngle, thermalIterations } = this.profileParams;
+    if (!talusAngle || !thermalIterations) return null;
+    
+    return { talusAngle, iterations: thermalIterations };
+  }
+  
+  // Talus angle for thermal erosion over a grid of world positions: the profile's angle, or
+  // with profile regions one angle per sample. Regions without scree get a vertical angle.
+  getTalusAngles(thermal, minX, minZ, width, depth, cellSize) {
+    if (thermal.talusAngle !== null) return thermal.talusAngle;
+    
+    return this.sampleProfileGrid(
+      params => params.thermalIterations > 0 ? params.talusAngle ?? 90 : 90,
+      minX, minZ, width, depth, cellSize
+    );
+  }
+  
+  // Smoothing passes over a grid of world positions: the profile's, or with profile regions
+  // one count per sample
+  getSmoothingPasses(minX, minZ, width, depth, cellSize) {
+    if (!this.regions) return this.smoothingPasses;
+    
+    return this.sampleProfileGrid(
+      params => params.smoothingPasses || 0,
+      minX, minZ, width, depth, cellSize
+    );
+  }
+  
+  // Read a value from the profile params at every position of a grid
+  sampleProfileGrid(read, minX, minZ, width, depth, cellSize) {
+    const values = new Float32Array(width * depth);
+    for (let z = 0; z < depth; z++) {
+      for (let x = 0; x < width; x++) {
+        values[z * width + x] = read(this.getProfileParamsAt(minX + x * cellSize, minZ + z * cellSize));
+      }
+    }
+    
+    return values;
+  }
+  
+  // Eroded heights over a window of the global macro lattice. Every tile is eroded with an
+  // apron around it, and the eroded windows of neighbouring tiles are cross-faded across tile
+  // edges. The blend only depends on global lattice positions, so adjacent tiles agree exactly
+  // on shared edges, and any window sees the same heights as the tiles it overlaps.
+  getErodedMacroHeights(startX, startZ, width, depth) {
+    const heightMap = new Float32Array(width * depth);
+    
+    // Tiles whose eroded windows fade into the area
+    const fade = this.erosionApron / 2;
+    const tileOf = index => Math.floor((index + this.macroResolution / 2) / this.macroResolution);
+    const windows = [];
+    for (let tileZ = tileOf(startZ - fade); tileZ <= tileOf(startZ + depth - 1 + fade); tileZ++) {
+      for (let tileX = tileOf(startX - fade); tileX <= tileOf(startX + width - 1 + fade); tileX++) {
+        windows.push(this.getErosionWindow(tileX, tileZ));
+      }
+    }
+    
+    for (let z = 0; z < depth; z++) {
+      for (let x = 0; x < width; x++) {
+        const gx = startX + x;
+        const gz = startZ + z;
+        let height = 0;
+        
+        for (const window of windows) {
+          const weight = this.getTileBlendWeight(gx, window.tileX) * this.getTileBlendWeight(gz, window.tileZ);
+          if (weight > 0) {
+            height += weight * window.heights[(gz - window.startZ) * window.width + (gx - window.startX)];
+          }
+        }
+        
+        heightMap[z * width + x] = height;
+      }
+    }
+    
+    return heightMap;
+  }
+  
+  // Weight of a tile's eroded window at a global lattice index along one axis.
+  // It fades across the tile's edges, and the weights of neighbouring tiles sum to one.
+  getTileBlendWeight(index, tile) {
+    const fade = this.erosionApron / 2;
+    const start = tile * this.macroResolution - this.macroResolution / 2;
+    const end = start + this.macroResolution;
+    
+    return smoothstep((index - (start - fade)) / (2 * fade)) *
+           smoothstep((end + fade - index) / (2 * fade));
+  }
+  
+  // Get the eroded heights of a macro tile plus its apron, eroding them on first use
+  getErosionWindow(tileX, tileZ) {
+    const key = `${tileX},${tileZ}`;
+    if (this.erosionWindows.has(key)) {
+      return this.erosionWindows.get(key);
+    }
+    
+    const cellSize = this.macroSize / this.macroResolution;
+    const startX = tileX * this.macroResolution - this.macroResolution / 2 - this.erosionApron;
+    const startZ = tileZ * this.macroResolution - this.macroResolution / 2 - this.erosionApron;
+    const width = this.macroResolution + 1 + this.erosionApron * 2;
+    
+    const heights = this.sampleMacroHeights(startX * cellSize, startZ * cellSize, width, width);
+    
+    const erosion = this.getErosionOptions('macro', tileX * this.macroSize, tileZ * this.macroSize);
+    if (erosion) {
+      const random = createSeededRandom(deriveSeed(this.seed, 'erosion', tileX, tileZ));
+      applyHydraulicErosion(heights, width, width, erosion, random, this.heightScale);
+    }
+    
+    // Scree settles after the water has carved the slopes
+    const thermal = this.getThermalErosionOptions();
+    if (thermal) {
+      const talusAngle = this.getTalusAngles(thermal, startX * cellSize, startZ * cellSize, width, width, cellSize);
+      applyThermalErosion(heights, width, width, { ...thermal, talusAngle, cellSize });
+    }
+    
+    const window = { tileX, tileZ, startX, startZ, width, heights };
+    this.erosionWindows.set(key, window);
+    return window;
+  }
+  
+  // Macro tiles are centered on multiples of the macro size, like micro chunks
+  getMacroTileCoordinate(worldCoordinate) {
+    return Math.floor(worldCoordinate / this.macroSize + 0.5);
+  }
+  
+  // Get the macro tile containing a world position, generating it on first use
+  getMacroTileAt(worldX, worldZ) {
+    const tileX = this.getMacroTileCoordinate(worldX);
+    const tileZ = this.getMacroTileCoordinate(worldZ);
+    const key = `${tileX},${tileZ}`;
+    
+    let tile = this.macroTiles.get(key);
+    if (!tile) {
+      tile = this.generateMacroTile(tileX, tileZ);
+      this.macroTiles.set(key, tile);
+    }
+    
+    return tile;
+  }
+  
+  // Forget macro tiles and their rivers, lakes, climate and stamps whose area is farther than `distance`
+  // from a position
+  evictMacroTiles(worldX, worldZ, distance) {
+    for (const tiles of [this.macroTiles, this.drainageNetworks, this.climateMaps, this.stampTiles]) {
+      for (const [key, tile] of tiles) {
+        const dx = Math.max(0, tile.minX - worldX, worldX - (tile.minX + tile.size));
+        const dz = Math.max(0, tile.minZ - worldZ, worldZ - (tile.minZ + tile.size));
+        
+        if (Math.max(dx, dz) > distance) {
+          tiles.delete(key);
+        }
+      }
+    }
+    
+    const cellSize = this.macroSize / this.macroResolution;
+    for (const [key, window] of this.erosionWindows) {
+      const minX = window.startX * cellSize;
+      const minZ = window.startZ * cellSize;
+      const size = window.width * cellSize;
+      const dx = Math.max(0, minX - worldX, worldX - (minX + size));
+      const dz = Math.max(0, minZ - worldZ, worldZ - (minZ + size));
+      
+      if (Math.max(dx, dz) > distance) {
+        this.erosionWindows.delete(key);
+      }
+    }
+  }
+  
+  // Get the rivers and lakes of a macro tile, finding them on first use
+  getDrainageNetwork(tileX, tileZ) {
+    const key = `${tileX},${tileZ}`;
+    
+    let network = this.drainageNetworks.get(key);
+    if (!network) {
+      network = this.generateDrainageNetwork(tileX, tileZ);
+      this.drainageNetworks.set(key, network);
+    }
+    
+    return network;
+  }
+  
+  // Find the rivers and lakes of a macro tile, and how far each of its cells is from water.
+  // Drainage is computed over the tile plus a wide apron, so rivers entering from neighbouring
+  // tiles carry their upstream flow and lakes reaching over the tile edge are found whole.
+  generateDrainageNetwork(tileX, tileZ) {
+    const cellSize = this.macroSize / this.macroResolution;
+    const apron = this.drainageApron;
+    const startX = tileX * this.macroResolution - this.macroResolution / 2 - apron;
+    const startZ = tileZ * this.macroResolution - this.macroResolution / 2 - apron;
+    const width = this.macroResolution + 1 + apron * 2;
+    
+    const network = {
+      tileX,
+      tileZ,
+      minX: tileX * this.macroSize - this.macroSize / 2,
+      minZ: tileZ * this.macroSize - this.macroSize / 2,
+      size: this.macroSize,
+      rivers: [],
+      segments: [],
+      lakes: [],
+      waterDistance: null  // Metres from each macro cell of the tile to the nearest sea, lake or river
+    };
+    
+    // Cells of the window that lie inside this tile
+    const isOwned = i => {
+      const x = i % width - apron;
+      const z = Math.floor(i / width) - apron;
+      return x >= 0 && x < this.macroResolution && z >= 0 && z < this.macroResolution;
+    };
+    
+    // Water runs over the terrain as it is drawn, eroded or not
+    const heights = this.getMacroLatticeHeights(startX, startZ, width, width);
+    
+    // Rivers and lakes mark their cells as water, on top of the sea
+    const water = new Uint8Array(heights.length);
+    for (let i = 0; i < heights.length; i++) {
+      water[i] = heights[i] <= this.waterLevel ? 1 : 0;
+    }
+    const window = { startX, startZ, width, cellSize, isOwned, water };
+    
+    if (this.rivers && this.rivers.enabled) {
+      this.traceRivers(network, heights, window);
+    }
+    if (this.lakes && this.lakes.enabled) {
+      this.findLakes(network, heights, window);
+    }
+    
+    // The apron is wide enough that water near the tile is always inside the window
+    const distance = computeDistanceField(water, width, width);
+    network.waterDistance = new Float32Array(this.macroResolution * this.macroResolution);
+    for (let z = 0; z < this.macroResolution; z++) {
+      for (let x = 0; x < this.macroResolution; x++) {
+        network.waterDistance[z * this.macroResolution + x] =
+          distance[(z + apron) * width + x + apron] * cellSize;
+      }
+    }
+    
+    return network;
+  }
+  
+  // Trace the rivers of a drainage window, keeping only the river segments that start inside
+  // the tile. Neighbouring tiles trace the same paths across their shared edge, so their
+  // rivers join up, except inside filled basins where the route water takes depends on how
+  // far the drainage window reaches.
+  traceRivers(network, heights, { startX, startZ, width, cellSize, isOwned, water }) {
+    // Fill pits with a slight slope so every cell drains somewhere
+    const filled = fillDepressions(heights, width, width, 1e-3);
+    const directions = computeFlowDirections(filled, width, width);
+    const accumulation = computeFlowAccumulation(filled, directions);
+    
+    // Rivers run across filled basins and end where they reach the water level
+    const riverCells = extractRiverCells(
+      accumulation, directions, this.rivers.threshold, i => filled[i] <= this.waterLevel
+    );
+    
+    for (const cells of riverCells) {
+      cells.forEach(i => { water[i] = 1; });
+      
+      const points = cells.map(i => ({
+        x: (startX + i % width) * cellSize,
+        z: (startZ + Math.floor(i / width)) * cellSize,
+        width: this.getRiverWidth(accumulation[i])
+      }));
+      this.smoothRiverPoints(points);
+      
+      // Keep the runs of segments that start inside this tile
+      let run = null;
+      for (let p = 0; p < points.length - 1; p++) {
+        if (!isOwned(cells[p])) {
+          run = null;
+          continue;
+        }
+        
+        if (!run) {
+          run = { points: [points[p]] };
+          network.rivers.push(run);
+        }
+        run.points.push(points[p + 1]);
+      }
+    }
+    
+    for (const river of network.rivers) {
+      for (let p = 0; p < river.points.length - 1; p++) {
+        network.segments.push(this.createRiverSegment(river, river.points[p], river.points[p + 1]));
+      }
+    }
+  }
+  
+  // Find the lakes of a drainage window that reach into the tile. Each basin fills up to the
+  // point where it spills over, and is identified by its spill cell, so a lake found from
+  // several tiles has the same id and surface everywhere.
+  findLakes(network, heights, { startX, startZ, width, cellSize, isOwned, water }) {
+    const { levels, spills } = findBasins(heights, width, width);
+    
+    // Group flooded cells into basins
+    const basins = new Map();
+    for (let i = 0; i < spills.length; i++) {
+      if (spills[i] < 0) continue;
+      
+      if (!basins.has(spills[i])) basins.set(spills[i], []);
+      basins.get(spills[i]).push(i);
+    }
+    
+    for (const [spill, cells] of basins) {
+      if (cells.length < this.lakes.minCells) continue;
+      
+      let maxDepth = 0;
+      let minCellX = Infinity, maxCellX = -Infinity, minCellZ = Infinity, maxCellZ = -Infinity;
+      for (const i of cells) {
+        const x = i % width;
+        const z = Math.floor(i / width);
+        maxDepth = Math.max(maxDepth, levels[i] - heights[i]);
+        minCellX = Math.min(minCellX, x);
+        maxCellX = Math.max(maxCellX, x);
+        minCellZ = Math.min(minCellZ, z);
+        maxCellZ = Math.max(maxCellZ, z);
+      }
+      
+      // Lakes cut off by the window edge may really drain elsewhere, so they are left out
+      if (maxDepth < this.lakes.minDepth ||
+          minCellX <= 1 || minCellZ <= 1 || maxCellX >= width - 2 || maxCellZ >= width - 2) {
+        continue;
+      }
+      
+      // Lakes just outside the tile still count as water nearby
+      cells.forEach(i => { water[i] = 1; });
+      if (!cells.some(isOwned)) continue;
+      
+      network.lakes.push(this.createLake(cells, spill, { startX, startZ, width, cellSize }, {
+        minCellX: minCellX - 1, minCellZ: minCellZ - 1, maxCellX: maxCellX + 1, maxCellZ: maxCellZ + 1
+      }, maxDepth));
+    }
+  }
+  
+  // Build a lake from its basin cells. The mask covers the cells around the basin too, so the
+  // shoreline can be found on the micro terrain wherever it dips below the surface.
+  createLake(cells, spill, { startX, startZ, width, cellSize }, bounds, depth) {
+    const maskWidth = bounds.maxCellX - bounds.minCellX + 1;
+    const maskDepth = bounds.maxCellZ - bounds.minCellZ + 1;
+    const mask = new Uint8Array(maskWidth * maskDepth);
+    
+    for (const i of cells) {
+      const x = i % width - bounds.minCellX;
+      const z = Math.floor(i / width) - bounds.minCellZ;
+      
+      for (let dz = -1; dz <= 1; dz++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          mask[(z + dz) * maskWidth + (x + dx)] = 1;
+        }
+      }
+    }
+    
+    return {
+      id: `${startX + spill % width},${startZ + Math.floor(spill / width)}`,
+      spillX: (startX + spill % width) * cellSize,   // Where the basin overflows
+      spillZ: (startZ + Math.floor(spill / width)) * cellSize,
+      surfaceHeight: null,                           // Set by getLakeSurfaceHeight on first use
+      depth,
+      area: cells.length * cellSize * cellSize,
+      cellSize,
+      startX: startX + bounds.minCellX,   // Global lattice index of the mask's first column
+      startZ: startZ + bounds.minCellZ,
+      maskWidth,
+      maskDepth,
+      mask,
+      minX: (startX + bounds.minCellX - 0.5) * cellSize,
+      minZ: (startZ + bounds.minCellZ - 0.5) * cellSize,
+      maxX: (startX + bounds.maxCellX + 0.5) * cellSize,
+      maxZ: (startZ + bounds.maxCellZ + 0.5) * cellSize
+    };
+  }
+  
+  // Height of a lake's surface: level with the micro terrain where the basin spills over.
+  // It is measured on first use, since the spill point may lie in a macro tile nobody needs yet.
+  getLakeSurfaceHeight(lake) {
+    if (lake.surfaceHeight === null) {
+      const margin = this.slopeSampleDistance;
+      const lattice = this.createMacroLattice(
+        lake.spillX - margin, lake.spillZ - margin, lake.spillX + margin, lake.spillZ + margin
+      );
+      lake.surfaceHeight = this.sampleMicroHeight(lake.spillX, lake.spillZ, lattice);
+    }
+    
+    return lake.surfaceHeight;
+  }
+  
+  // Check whether a position lies within a lake's mask, using the nearest lattice cell
+  isInLake(lake, worldX, worldZ) {
+    const x = Math.round(worldX / lake.cellSize) - lake.startX;
+    const z = Math.round(worldZ / lake.cellSize) - lake.startZ;
+    if (x < 0 || x >= lake.maskWidth || z < 0 || z >= lake.maskDepth) return false;
+    
+    return lake.mask[z * lake.maskWidth + x] === 1;
+  }
+  
+  // The lakes of the macro tile containing a position. Neighbouring tiles can find different
+  // lakes around their shared edge, so a position only ever looks at its own tile's lakes.
+  getTileLakes(worldX, worldZ) {
+    if (!this.lakes || !this.lakes.enabled) return [];
+    
+    return this.getDrainageNetwork(this.getMacroTileCoordinate(worldX), this.getMacroTileCoordinate(worldZ)).lakes;
+  }
+  
+  // Height of the water surface at a position: the highest lake covering it, or the sea level.
+  // Whether the point is actually under water depends on the ground height there.
+  getWaterSurface(worldX, worldZ, lakes = this.getTileLakes(worldX, worldZ)) {
+    let height = this.waterLevel;
+    let surfaceLake = null;
+    
+    for (const lake of lakes) {
+      if (this.isInLake(lake, worldX, worldZ) && this.getLakeSurfaceHeight(lake) > height) {
+        height = lake.surfaceHeight;
+        surfaceLake = lake;
+      }
+    }
+    
+    return { height, lake: surfaceLake };
+  }
+  
+  // Rivers widen with the area draining into them
+  getRiverWidth(accumulation) {
+    const { threshold, minWidth, maxWidth } = this.rivers;
+    return Math.min(maxWidth, minWidth * Math.sqrt(accumulation / threshold));
+  }
+  
+  // Round off the corners of a traced river, keeping its ends in place so it still meets
+  // its tributaries and the river it flows into
+  smoothRiverPoints(points, passes = 2) {
+    for (let pass = 0; pass < passes; pass++) {
+      const previous = points.map(point => ({ x: point.x, z: point.z }));
+      
+      for (let p = 1; p < points.length - 1; p++) {
+        points[p].x = (previous[p - 1].x + previous[p].x * 2 + previous[p + 1].x) / 4;
+        points[p].z = (previous[p - 1].z + previous[p].z * 2 + previous[p + 1].z) / 4;
+      }
+    }
+  }
+  
+  // A straight piece of river, with the bounds of the ground its channel cuts into
+  createRiverSegment(river, start, end) {
+    const reach = Math.max(start.width, end.width) * (0.5 + this.rivers.bankWidth);
+    
+    return {
+      river,
+      x0: start.x, z0: start.z, width0: start.width,
+      x1: end.x, z1: end.z, width1: end.width,
+      minX: Math.min(start.x, end.x) - reach,
+      maxX: Math.max(start.x, end.x) + reach,
+      minZ: Math.min(start.z, end.z) - reach,
+      maxZ: Math.max(start.z, end.z) + reach
+    };
+  }
+  
+  // Collect the river segments whose channels come within `margin` of an area
+  getRiverSegments(minX, minZ, maxX, maxZ, margin = 0) {
+    if (!this.rivers || !this.rivers.enabled) return [];
+    
+    // Segments belong to the tile they start in, but their channels reach a little further
+    const reach = this.rivers.maxWidth * (0.5 + this.rivers.bankWidth) + margin;
+    const segments = [];
+    
+    for (let tileZ = this.getMacroTileCoordinate(minZ - reach); tileZ <= this.getMacroTileCoordinate(maxZ + reach); tileZ++) {
+      for (let tileX = this.getMacroTileCoordinate(minX - reach); tileX <= this.getMacroTileCoordinate(maxX + reach); tileX++) {
+        for (const segment of this.getDrainageNetwork(tileX, tileZ).segments) {
+          if (segment.maxX >= minX - margin && segment.minX <= maxX + margin &&
+              segment.maxZ >= minZ - margin && segment.minZ <= maxZ + margin) {
+            segments.push(segment);
+          }
+        }
+      }
+    }
+    
+    return segments;
+  }
+  
+  // Closest point of a river segment to a position, with the river width there
+  getClosestPointOnSegment(segment, worldX, worldZ) {
+    const dx = segment.x1 - segment.x0;
+    const dz = segment.z1 - segment.z0;
+    const lengthSq = dx * dx + dz * dz;
+    const t = lengthSq > 0 ?
+      Math.max(0, Math.min(1, ((worldX - segment.x0) * dx + (worldZ - segment.z0) * dz) / lengthSq)) :
+      0;
+    
+    const x = segment.x0 + dx * t;
+    const z = segment.z0 + dz * t;
+    
+    return {
+      x,
+      z,
+      width: segment.width0 + (segment.width1 - segment.width0) * t,
+      distance: Math.sqrt((worldX - x) * (worldX - x) + (worldZ - z) * (worldZ - z))
+    };
+  }
+  
+  // How deep the river channels are cut into the ground at a position. The channel has a
+  // rounded bed across the river's width and sloped banks beyond it.
+  getRiverCarveDepth(worldX, worldZ, segments = this.getRiverSegments(worldX, worldZ, worldX, worldZ)) {
+    const { depth, maxDepth, bankWidth } = this.rivers || {};
+    let carveDepth = 0;
+    
+    for (const segment of segments) {
+      if (worldX < segment.minX || worldX > segment.maxX || worldZ < segment.minZ || worldZ > segment.maxZ) continue;
+      
+      const closest = this.getClosestPointOnSegment(segment, worldX, worldZ);
+      const halfWidth = closest.width / 2;
+      const bank = closest.width * bankWidth;
+      if (closest.distance >= halfWidth + bank) continue;
+      
+      const shape = closest.distance <= halfWidth ?
+        1 - 0.3 * (closest.distance / halfWidth) ** 2 :
+        0.7 * (1 - smoothstep((closest.distance - halfWidth) / bank));
+      
+      carveDepth = Math.max(carveDepth, Math.min(maxDepth, closest.width * depth) * shape);
+    }
+    
+    return carveDepth;
+  }
+  
+  // Find the nearest river to a position, searching up to `maxDistance` away
+  findNearestRiver(worldX, worldZ, maxDistance) {
+    const segments = this.getRiverSegments(worldX, worldZ, worldX, worldZ, maxDistance);
+    let nearest = null;
+    
+    for (const segment of segments) {
+      const closest = this.getClosestPointOnSegment(segment, worldX, worldZ);
+      if (closest.distance <= maxDistance && (!nearest || closest.distance < nearest.distance)) {
+        nearest = { ...closest, river: segment.river };
+      }
+    }
+    
+    return nearest;
+  }
+  
+  // Get the procedural stamps of a macro tile, placing them on first use
+  getTileStamps(tileX, tileZ) {
+    const key = `${tileX},${tileZ}`;
+    
+    let tile = this.stampTiles.get(key);
+    if (!tile) {
+      tile = this.generateTileStamps(tileX, tileZ);
+      this.stampTiles.set(key, tile);
+    }
+    
+    return tile;
+  }
+  
+  // Scatter the procedural stamps of a macro tile. Candidate positions come from the tile's
+  // seed, and the biome at each decides whether a stamp forms there and of which type. Stamps
+  // are kept inside their tile, so a position is only ever touched by its own tile's stamps.
+  generateTileStamps(tileX, tileZ) {
+    const tile = {
+      tileX,
+      tileZ,
+      minX: tileX * this.macroSize - this.macroSize / 2,
+      minZ: tileZ * this.macroSize - this.macroSize / 2,
+      size: this.macroSize,
+      stamps: []
+    };
+    
+    const random = createSeededRandom(deriveSeed(this.seed, 'stamps', tileX, tileZ));
+    for (let i = 0; i < this.stamps.density; i++) {
+      // Each candidate shapes its stamp from its own seed, so candidates don't shift each other
+      const x = tile.minX + random() * tile.size;
+      const z = tile.minZ + random() * tile.size;
+      const roll = random();
+      
+      const height = this.getInterpolatedMacroHeight(x, z);
+      if (height <= this.waterLevel) continue;
+      
+      // The roll picks a type in proportion to its chance in this biome, or none at all
+      const chances = getStampTypeChances(this.getBiome(x, z, height).weights);
+      let type = null;
+      let remaining = roll;
+      for (let t = 0; t < STAMP_TYPES.length && !type; t++) {
+        remaining -= chances[t];
+        if (remaining < 0) type = STAMP_TYPES[t];
+      }
+      if (!type) continue;
+      
+      let options = createRandomStampOptions(
+        type, x, z, createSeededRandom(deriveSeed(this.seed, 'stamp', tileX, tileZ, i))
+      );
+      let stamp = this.createStampOnTerrain(options);
+      
+      // Move stamps reaching over the tile edge back inside
+      const dx = Math.max(0, tile.minX - stamp.minX) - Math.max(0, stamp.maxX - (tile.minX + tile.size));
+      const dz = Math.max(0, tile.minZ - stamp.minZ) - Math.max(0, stamp.maxZ - (tile.minZ + tile.size));
+      if (dx !== 0 || dz !== 0) {
+        options = translateStampOptions(options, dx, dz);
+        stamp = this.createStampOnTerrain(options);
+      }
+      
+      tile.stamps.push(stamp);
+    }
+    
+    return tile;
+  }
+  
+  // Build a stamp from its options, standing mesas on the macro terrain at their centre
+  createStampOnTerrain(options) {
+    if (options.type === 'mesa' && options.top === undefined) {
+      return createStamp({ baseHeight: this.getInterpolatedMacroHeight(options.x, options.z), ...options });
+    }
+    return createStamp(options);
+  }
+  
+  // The hand-placed stamps, built on first use
+  getPlacedStamps() {
+    if (!this.placedStamps) {
+      this.placedStamps = this.stamps.placed.map(options => this.createStampOnTerrain(options));
+    }
+    return this.placedStamps;
+  }
+  
+  // Collect the stamps that change the terrain within an area: procedural ones first, then
+  // hand-placed ones, in the order they are laid on
+  getStamps(minX, minZ, maxX, maxZ) {
+    if (!this.stamps || !this.stamps.enabled) return [];
+    
+    const overlaps = stamp =>
+      stamp.maxX >= minX && stamp.minX <= maxX && stamp.maxZ >= minZ && stamp.minZ <= maxZ;
+    const stamps = [];
+    
+    if (this.stamps.procedural) {
+      for (let tileZ = this.getMacroTileCoordinate(minZ); tileZ <= this.getMacroTileCoordinate(maxZ); tileZ++) {
+        for (let tileX = this.getMacroTileCoordinate(minX); tileX <= this.getMacroTileCoordinate(maxX); tileX++) {
+          stamps.push(...this.getTileStamps(tileX, tileZ).stamps.filter(overlaps));
+        }
+      }
+    }
+    stamps.push(...this.getPlacedStamps().filter(overlaps));
+    
+    return stamps;
+  }
+  
+  // Height at a position after the stamps there are laid on a terrain height
+  applyStampsAt(worldX, worldZ, height, stamps = this.getStamps(worldX, worldZ, worldX, worldZ)) {
+    for (const stamp of stamps) {
+      height = applyStamp(stamp, worldX, worldZ, height);
+    }
+    return height;
+  }
+  
+  // Get the climate of a macro tile, working it out on first use
+  getClimateMap(tileX, tileZ) {
+    const key = `${tileX},${tileZ}`;
+    
+    let climateMap = this.climateMaps.get(key);
+    if (!climateMap) {
+      climateMap = this.generateClimateMap(tileX, tileZ);
+      this.climateMaps.set(key, climateMap);
+    }
+    
+    return climateMap;
+  }
+  
+  // Work out the moisture of every macro cell of a tile. The air is wetter near seas, lakes and
+  // rivers and dries out in the rain shadow of higher ground upwind, and whole regions are
+  // wetter or drier than others.
+  generateClimateMap(tileX, tileZ) {
+    const { waterDistance } = this.getDrainageNetwork(tileX, tileZ);
+    const { windDirection, moistureScale, waterReach, rainShadow, rainShadowDistances } = this.climate;
+    const resolution = this.macroResolution;
+    const cellSize = this.macroSize / resolution;
+    const startX = tileX * resolution - resolution / 2;
+    const startZ = tileZ * resolution - resolution / 2;
+    const windX = Math.cos(windDirection);
+    const windZ = Math.sin(windDirection);
+    const moisture = new Float32Array(resolution * resolution);
+    
+    for (let z = 0; z < resolution; z++) {
+      for (let x = 0; x < resolution; x++) {
+        const i = z * resolution + x;
+        const worldX = (startX + x) * cellSize;
+        const worldZ = (startZ + z) * cellSize;
+        
+        const regional = 0.45 + 0.3 * this.moistureNoise(
+          worldX / moistureScale + this.noiseOffset, worldZ / moistureScale + this.noiseOffset
+        );
+        const nearWater = 0.25 * Math.exp(-waterDistance[i] / waterReach);
+        
+        // Ground higher upwind catches the rain first
+        const height = this.generateMultiScaleHeight(worldX, worldZ, this.getProfileParamsAt(worldX, worldZ));
+        let shadow = 0;
+        for (const distance of rainShadowDistances) {
+          const upwindX = worldX - windX * distance;
+          const upwindZ = worldZ - windZ * distance;
+          const upwindHeight = this.generateMultiScaleHeight(
+            upwindX, upwindZ, this.getProfileParamsAt(upwindX, upwindZ)
+          );
+          shadow = Math.max(shadow, upwindHeight - height);
+        }
+        
+        const value = regional + nearWater - rainShadow * shadow / this.getReliefHeight();
+        moisture[i] = Math.max(0, Math.min(1, value));
+      }
+    }
+    
+    return {
+      tileX,
+      tileZ,
+      minX: tileX * this.macroSize - this.macroSize / 2,
+      minZ: tileZ * this.macroSize - this.macroSize / 2,
+      size: this.macroSize,
+      startX,             // Global lattice index of the tile's first column
+      startZ,
+      moisture
+    };
+  }
+  
+  // Moisture of a macro cell, by its global lattice index
+  getCellMoisture(cellX, cellZ) {
+    const half = this.macroResolution / 2;
+    const tileX = Math.floor((cellX + half) / this.macroResolution);
+    const tileZ = Math.floor((cellZ + half) / this.macroResolution);
+    
+    // Neighbouring samples nearly always fall in the same tile, so keep it at hand
+    let climateMap = this.lastClimateMap;
+    if (!climateMap || climateMap.tileX !== tileX || climateMap.tileZ !== tileZ) {
+      climateMap = this.lastClimateMap = this.getClimateMap(tileX, tileZ);
+    }
+    
+    return climateMap.moisture[(cellZ - climateMap.startZ) * this.macroResolution + cellX - climateMap.startX];
+  }
+  
+  // Moisture (0-1) at a world position, interpolated between macro cells
+  getMoisture(worldX, worldZ) {
+    const cellSize = this.macroSize / this.macroResolution;
+    const fx = worldX / cellSize;
+    const fz = worldZ / cellSize;
+    const x0 = Math.floor(fx);
+    const z0 = Math.floor(fz);
+    const tx = fx - x0;
+    const tz = fz - z0;
+    
+    const m0 = this.getCellMoisture(x0, z0) * (1 - tx) + this.getCellMoisture(x0 + 1, z0) * tx;
+    const m1 = this.getCellMoisture(x0, z0 + 1) * (1 - tx) + this.getCellMoisture(x0 + 1, z0 + 1) * tx;
+    return m0 * (1 - tz) + m1 * tz;
+  }
+  
+  // Lowest and highest terrain of the world, measured once on a fixed grid of the raw macro noise
+  // reaching far beyond the origin in every direction. Zones, colors and climate are measured
+  // against these heights rather than any tile's or chunk's own, so the same altitude is treated
+  // the same everywhere, and every generator of a world, in any worker, measures the same range.
+  getHeightStats() {
+    if (!this.heightStats) {
+      const count = 128;
+      const spacing = this.macroSize / 4;
+      let minHeight = Infinity, maxHeight = -Infinity;
+      
+      for (let z = 0; z < count; z++) {
+        for (let x = 0; x < count; x++) {
+          const height = this.estimateHeight((x - count / 2) * spacing, (z - count / 2) * spacing);
+          minHeight = Math.min(minHeight, height);
+          maxHeight = Math.max(maxHeight, height);
+        }
+      }
+      
+      this.heightStats = { minHeight, maxHeight };
+    }
+    
+    return this.heightStats;
+  }
+  
+  // Height of the highest macro terrain above the water level; climate scales with it, so every
+  // profile gets its cold peaks
+  getReliefHeight() {
+    return Math.max(1, this.getHeightStats().maxHeight - this.waterLevel);
+  }
+  
+  // Altitude as the elevation zone thresholds measure it: 0 at the lowest macro terrain, the
+  // water zone's threshold at the water level and 1 at the highest macro terrain
+  getNormalizedHeight(height) {
+    const waterZone = this.elevationZones.find(zone => zone.name === 'water');
+    const shoreline = waterZone ? waterZone.threshold : 0;
+    
+    if (height >= this.waterLevel) {
+      return shoreline + (1 - shoreline) * (height - this.waterLevel) / this.getReliefHeight();
+    }
+    const depthRange = Math.max(1, this.waterLevel - this.getHeightStats().minHeight);
+    return shoreline * (1 - (this.waterLevel - height) / depthRange);
+  }
+  
+  // Temperature (0-1) at a world position and height. It varies in broad east-west bands, like
+  // latitudes, and drops with altitude above the water level.
+  getTemperature(worldX, worldZ, height) {
+    const { latitudeScale, lapseRate } = this.climate;
+    const latitude = this.temperatureNoise(
+      worldX / (latitudeScale * 4) + this.noiseOffset, worldZ / latitudeScale + this.noiseOffset
+    );
+    
+    return 0.65 + 0.2 * latitude - lapseRate * Math.max(0, height - this.waterLevel) / this.getReliefHeight();
+  }
+  
+  // Height of the snow line above which snow lies on flat ground. It is a fixed altitude for
+  // the whole world, set by the snow settings as a fraction of the relief.
+  getSnowLine() {
+    return this.waterLevel + this.snow.line * this.getReliefHeight();
+  }
+  
+  // Snow at a world position, given the terrain height and unit surface normal there: how much
+  // of the ground it covers (0-1) and how deep it is in metres. Slopes turned away from the sun
+  // keep snow further down than slopes facing it, and steep faces shed it.
+  getSnowAt(worldX, worldZ, height, normalX, normalY, normalZ) {
+    if (!this.snow || !this.snow.enabled) return { cover: 0, depth: 0 };
+    
+    const { transition, aspectShift, maxSlope, maxDepth, sunDirection: [sunX, sunY, sunZ] } = this.snow;
+    const relief = this.getReliefHeight();
+    
+    // How much more (or less) sun the slope gets than flat ground
+    const exposure = normalX * sunX + normalY * sunY + normalZ * sunZ - sunY;
+    const snowLine = this.getSnowLine() + exposure * aspectShift * relief;
+    const altitude = (height - snowLine) / (transition * relief);
+    
+    const slope = Math.acos(Math.min(1, normalY)) * 180 / Math.PI;
+    const hold = 1 - smoothstep((slope - maxSlope) / 10 + 0.5);
+    
+    const cover = smoothstep(altitude) * hold;
+    return { cover, depth: maxDepth * cover * smoothstep(altitude / 3) };
+  }
+  
+  // Thickness of glacier ice at a world position. Above the glacier line, ice fills the bowls of
+  // the macro terrain (cirques) part of the way up the walls around them.
+  getGlacierThickness(worldX, worldZ) {
+    if (!this.snow || !this.snow.enabled || !this.snow.glaciers) return 0;
+    
+    const { glacierLine, transition, cirqueRadius, glacierFill } = this.snow;
+    const relief = this.getReliefHeight();
+    const height = this.getInterpolatedMacroHeight(worldX, worldZ);
+    const weight = smoothstep((height - this.waterLevel - glacierLine * relief) / (transition * relief) + 0.5);
+    if (weight <= 0) return 0;
+    
+    // A cirque is open on its downhill side, so its walls are the higher half of a ring of
+    // samples around it
+    const ringSamples = 8;
+    const ring = [];
+    for (let r = 0; r < ringSamples; r++) {
+      const angle = r / ringSamples * Math.PI * 2;
+      ring.push(this.getInterpolatedMacroHeight(
+        worldX + Math.cos(angle) * cirqueRadius, worldZ + Math.sin(angle) * cirqueRadius
+      ));
+    }
+    ring.sort((a, b) => b - a);
+    
+    let walls = 0;
+    for (let r = 0; r < ringSamples / 2; r++) walls += ring[r];
+    
+    return Math.max(0, walls / (ringSamples / 2) - height) * glacierFill * weight;
+  }
+  
+  // Biome at a world position and terrain height, with the climate that decides it and how much
+  // each biome contributes there
+  getBiome(worldX, worldZ, height) {
+    return describeBiome(this.getTemperature(worldX, worldZ, height), this.getMoisture(worldX, worldZ));
+  }
+  
+  // Generate height using multi-scale composition
+  generateMultiScaleHeight(worldX, worldZ, profileParams) {
+    let totalHeight = 0;
+    let totalWeight = 0;
+    
+    // Apply noise at each scale
+    for (let i = 0; i < this.noiseScales.length; i++) {
+      const scale = this.noiseScales[i];
+      const nx = worldX * scale.scale + this.noiseOffset;
+      const nz = worldZ * scale.scale + this.noiseOffset;
+      
+      // Adjust parameters based on scale
+      const scaleParams = {...profileParams};
+      scaleParams.octaves = Math.min(profileParams.octaves, scale.octaves);
+      
+      // Generate height for this scale
+      const heightAtScale = this.generateHeightValue(
+        nx, nz, this.noiseGenerators[i], scaleParams, this.heightScale
+      );
+      
+      // Add weighted contribution
+      totalHeight += heightAtScale * scale.weight;
+      totalWeight += scale.weight;
+    }
+    
+    // Normalize by total weight
+    const normalizedHeight = totalHeight / totalWeight;
+    
+    // Apply nonlinear scaling to exaggerate peaks, then cut the profile's terraces
+    const scaledHeight = this.applyNonlinearScaling(normalizedHeight, profileParams);
+    return this.applyTerracing(scaledHeight, worldX, worldZ, profileParams);
+  }
+  
+  // Apply nonlinear scaling to the height value to exaggerate peaks
+  applyNonlinearScaling(height, profileParams) {
+    if (!this.nonlinearScaling.enabled) return height;
+    
+    // Normalize height to 0-1 range (based on max expected height)
+    const maxExpectedHeight = this.heightScale * 1.2; // Allow some headroom
+    const normalizedHeight = height / maxExpectedHeight;
+    
+    // Apply sigmoid-like function to exaggerate high areas (mountain peaks)
+    // and potentially flatten low areas
+    const { exponent, inflection, flatteningFactor } = this.nonlinearScaling;
+    
+    let scaledHeight;
+    if (normalizedHeight < inflection) {
+      // Below inflection point - can be flattened
+      scaledHeight = normalizedHeight * flatteningFactor / inflection;
+    } else {
+      // Above inflection point - exaggerate based on exponent
+      const t = (normalizedHeight - inflection) / (1.0 - inflection);
+      const exaggeration = Math.pow(t, exponent);
+      scaledHeight = flatteningFactor + (1.0 - flatteningFactor) * exaggeration;
+    }
+    
+    // Scale back to original range
+    return scaledHeight * maxExpectedHeight;
+  }
+  
+  // Layer of sedimentary rock a height falls in at a position, as a fractional layer number.
+  // Layer boundaries rise and fall with noise, so strata look tilted and warped rather than
+  // following the contour lines.
+  getStrataLayer(worldX, worldZ, height, profileParams) {
+    const { terraceHeight = 10, terraceNoise = 0.5 } = profileParams;
+    const warp = this.strataNoise(worldX / 700 + this.noiseOffset, worldZ / 700 + this.noiseOffset) +
+      0.3 * this.strataNoise(worldX / 160 + this.noiseOffset, worldZ / 160 + this.noiseOffset);
+    
+    return height / terraceHeight + warp * terraceNoise;
+  }
+  
+  // Cut a height into terraces following the strata: each layer is a flat bench that rises to
+  // the next over the softness fraction of the layer. `terracing` (0-1) sets how far heights
+  // move towards the steps, so profiles without it are unchanged.
+  applyTerracing(height, worldX, worldZ, profileParams) {
+    const { terracing = 0, terraceHeight = 10, terraceSoftness = 0.3 } = profileParams;
+    if (terracing <= 0) return height;
+    
+    const layer = this.getStrataLayer(worldX, worldZ, height, profileParams);
+    const step = Math.floor(layer);
+    const riser = Math.max(0.01, terraceSoftness);
+    const rise = smoothstep((layer - step - (1 - riser)) / riser);
+    
+    // Benches sit halfway up the layers they replace, so terracing doesn't lower the terrain
+    const offset = (step + rise - layer + (1 - riser) / 2) * terraceHeight;
+    return height + offset * terracing;
+  }
+  
+  // Generate a single height value from fractal noise in the profile's noise basis
+  generateHeightValue(nx, nz, noise2D, params, heightScale) {
+    const { exponent = 2.0 } = params;
+    
+    // Apply the exponent to the 0-1 noise, then scale
+    let noiseHeight = fractalNoise(noise2D, nx, nz, params, this.seed);
+    noiseHeight = Math.pow(noiseHeight, exponent);
+    noiseHeight *= heightScale;
+    
+    return noiseHeight;
+  }
+  
+  // Get the macro height at a given position
+  getMacroHeight(worldX, worldZ) {
+    const { resolution, cellSize, minX, minZ, heightMap } = this.getMacroTileAt(worldX, worldZ);
+    
+    // Convert world coordinates to grid indices within the tile
+    const x = Math.min(resolution - 1, Math.floor((worldX - minX) / cellSize));
+    const z = Math.min(resolution - 1, Math.floor((worldZ - minZ) / cellSize));
+    
+    return heightMap[z * resolution + x];
+  }
+  
+  // Get the macro height at any position with bilinear interpolation for smoothness
+  getInterpolatedMacroHeight(worldX, worldZ) {
+    const { resolution, cellSize, minX, minZ, heightMap } = this.getMacroTileAt(worldX, worldZ);
+    
+    // Scale to array indices within the tile
+    const fx = (worldX - minX) / cellSize;
+    const fz = (worldZ - minZ) / cellSize;
+    
+    // Get integer and fractional parts
+    const ix = Math.max(0, Math.min(resolution - 2, Math.floor(fx)));
+    const iz = Math.max(0, Math.min(resolution - 2, Math.floor(fz)));
+    const fractX = fx - ix;
+    const fractZ = fz - iz;
+    
+    // Get the four surrounding heights
+    const h00 = heightMap[iz * resolution + ix];
+    const h10 = heightMap[iz * resolution + (ix + 1)];
+    const h01 = heightMap[(iz + 1) * resolution + ix];
+    const h11 = heightMap[(iz + 1) * resolution + (ix + 1)];
+    
+    // Bilinear interpolation
+    const h0 = h00 * (1 - fractX) + h10 * fractX;
+    const h1 = h01 * (1 - fractX) + h11 * fractX;
+    
+    return h0 * (1 - fractZ) + h1 * fractZ;
+  }
+  
+  // Whether the terrain around a position can be looked up without generating anything: the
+  // macro tiles there, with their climate, rivers, lakes and stamps, are built already
+  isGeneratedAt(worldX, worldZ) {
+    const stamps = this.stamps && this.stamps.enabled;
+    
+    // Hand-placed stamps are built all at once, on macro terrain that may lie anywhere
+    if (stamps && this.stamps.placed.length > 0 && !this.placedStamps) return false;
+    
+    // Rivers, glaciers and moisture near a tile edge reach into the neighbouring tiles
+    const margin = this.microSize;
+    const maps = [this.macroTiles, this.climateMaps];
+    if ((this.rivers && this.rivers.enabled) || (this.lakes && this.lakes.enabled)) maps.push(this.drainageNetworks);
+    if (stamps && this.stamps.procedural) maps.push(this.stampTiles);
+    
+    for (const z of [worldZ - margin, worldZ + margin]) {
+      for (const x of [worldX - margin, worldX + margin]) {
+        const key = `${this.getMacroTileCoordinate(x)},${this.getMacroTileCoordinate(z)}`;
+        if (maps.some(map => !map.has(key))) return false;
+      }
+    }
+    
+    return true;
+  }
+  
+  // Rough terrain height at a position straight from the macro noise, without erosion, stamps,
+  // rivers or glaciers. It needs no macro tile, so it is quick anywhere in the world.
+  estimateHeight(worldX, worldZ) {
+    return this.generateMultiScaleHeight(worldX, worldZ, this.getProfileParamsAt(worldX, worldZ));
+  }
+  
+  // Generate a micro heightmap for a chunk, using elevation-dependent parameters.
+  // Every sample depends only on its world position, so neighbouring chunks agree along
+  // their shared edges. The optional padding adds rings of samples beyond the chunk border
+  // so smoothing and normals can see into the neighbours; the result is then
+  // (resolution + 2 * padding) samples wide.
+  generateMicroHeightMap(chunkX, chunkZ, worldX, worldZ, resolution = this.microResolution, padding = 0) {
+    const paddedResolution = resolution + padding * 2;
+    const heightMap = new Float32Array(paddedResolution * paddedResolution);
+    
+    // Samples are spaced exactly like the mesh vertices, so edge samples lie on the chunk border
+    const halfChunkSize = this.microSize / 2;
+    const chunkMinX = worldX - halfChunkSize;
+    const chunkMinZ = worldZ - halfChunkSize;
+    const segments = resolution - 1;
+    
+    // Sample the macro terrain on a world-aligned lattice covering the padded chunk,
+    // plus enough margin for the slope samples
+    const margin = padding * this.microSize / segments + this.slopeSampleDistance;
+    const lattice = this.createMacroLattice(
+      chunkMinX - margin, chunkMinZ - margin,
+      chunkMinX + this.microSize + margin, chunkMinZ + this.microSize + margin
+    );
+    
+    // Loop through all samples in the padded heightmap
+    for (let z = 0; z < paddedResolution; z++) {
+      for (let x = 0; x < paddedResolution; x++) {
+        // Convert to world coordinates
+        const vertexWorldX = chunkMinX + ((x - padding) / segments) * this.microSize;
+        const vertexWorldZ = chunkMinZ + ((z - padding) / segments) * this.microSize;
+        
+        heightMap[z * paddedResolution + x] = this.sampleMicroHeight(vertexWorldX, vertexWorldZ, lattice);
+      }
+    }
+    
+    // Optional erosion detail on top of the eroded macro shape
+    const detailErosion = this.getErosionOptions('detail', worldX, worldZ);
+    if (detailErosion) {
+      this.applyDetailErosion(heightMap, resolution, padding, chunkX, chunkZ, detailErosion);
+    }
+    
+    // Raise and cut the landform stamps, then cut river channels into the terrain
+    this.applyStamps(heightMap, resolution, padding, chunkMinX, chunkMinZ);
+    this.carveRivers(heightMap, resolution, padding, chunkMinX, chunkMinZ);
+    
+    // Fill the high bowls with glacier ice
+    this.addGlacierIce(heightMap, resolution, padding, chunkMinX, chunkMinZ);
+    
+    // Apply post-processing to the heightmap
+    const cellSize = this.microSize / segments;
+    this.applyHeightmapPostProcessing(
+      heightMap, paddedResolution, cellSize, chunkMinX - padding * cellSize, chunkMinZ - padding * cellSize
+    );
+    
+    return heightMap;
+  }
+  
+  // Height of the micro terrain at a world position, before erosion, stamps, rivers and
+  // post-processing. The macro lattice must cover the position plus the slope sample distance
+  // around it.
+  sampleMicroHeight(worldX, worldZ, lattice) {
+    // 80% macro, 20% detail
+    const blendFactor = 0.8;
+    
+    // Get base height from the macro lattice using bilinear interpolation
+    const baseHeight = this.getLatticeHeight(lattice, worldX, worldZ);
+    
+    // Determine which elevation zone this point belongs to
+    const elevationZone = this.getElevationZone(this.getNormalizedHeight(baseHeight));
+    
+    // Add detail using elevation-dependent noise params
+    const profileParams = this.getProfileParamsAt(worldX, worldZ);
+    const detailParams = this.getDetailParamsForElevation(elevationZone, profileParams);
+    
+    // Biomes shape the detail too: wetlands lie flat, deserts and tundra are rougher
+    const biomeDetail = blendBiomeDetail(getBiomeWeights(
+      this.getTemperature(worldX, worldZ, baseHeight), this.getMoisture(worldX, worldZ), this.biomeWeights
+    ));
+    detailParams.detailScale *= biomeDetail.detailScale;
+    detailParams.persistence *= biomeDetail.persistence;
+    
+    // Scale coordinates for detail noise (higher frequency)
+    const nx = worldX * 0.02 + this.noiseOffset;
+    const nz = worldZ * 0.02 + this.noiseOffset;
+    
+    // Calculate detail noise with zone-appropriate parameters
+    const detailHeight = this.generateHeightValue(
+      nx, nz, this.detailNoise, detailParams, 
+      this.heightScale * detailParams.detailScale
+    );
+    
+    // Calculate slope for detail attenuation
+    const slopeFactor = this.calculateMacroSlope(worldX, worldZ, lattice);
+    const slopeAttenuationFactor = Math.max(0.2, 1 - slopeFactor * 3); // More attenuation on steep slopes
+    
+    // Combine macro and detail with weight
+    const height = baseHeight * blendFactor + 
+                   detailHeight * slopeAttenuationFactor * (1 - blendFactor);
+    
+    // Terrace again: the macro terraces are smeared by the blend and by interpolating the
+    // coarse macro grid, and the benches should stay sharp at chunk resolution
+    return this.applyTerracing(height, worldX, worldZ, profileParams);
+  }
+  
+  // Erode a padded micro heightmap. The change is faded out towards the chunk border so the
+  // samples that smoothing and normals read around the border stay identical to the
+  // neighbouring chunk's.
+  applyDetailErosion(heightMap, resolution, padding, chunkX, chunkZ, erosion) {
+    const paddedResolution = resolution + padding * 2;
+    const original = heightMap.slice();
+    const random = createSeededRandom(deriveSeed(this.seed, 'detail-erosion', chunkX, chunkZ, resolution));
+    applyHydraulicErosion(heightMap, paddedResolution, paddedResolution, erosion, random, this.heightScale);
+    
+    // Samples this close to the border (in either direction) must not change
+    const fixedBand = this.getPostProcessingReach() + 1;
+    const fadeWidth = Math.max(1, resolution / 8);
+    
+    for (let z = 0; z < paddedResolution; z++) {
+      const insideZ = Math.min(z - padding, padding + resolution - 1 - z);
+      
+      for (let x = 0; x < paddedResolution; x++) {
+        const insideX = Math.min(x - padding, padding + resolution - 1 - x);
+        const weight = smoothstep((Math.min(insideX, insideZ) - fixedBand) / fadeWidth);
+        const i = z * paddedResolution + x;
+        
+        heightMap[i] = original[i] + (heightMap[i] - original[i]) * weight;
+      }
+    }
+  }
+  
+  // Lay the stamps overlapping a padded micro heightmap onto it
+  applyStamps(heightMap, resolution, padding, chunkMinX, chunkMinZ) {
+    const paddedResolution = resolution + padding * 2;
+    const segments = resolution - 1;
+    const margin = padding * this.microSize / segments;
+    const stamps = this.getStamps(
+      chunkMinX - margin, chunkMinZ - margin,
+      chunkMinX + this.microSize + margin, chunkMinZ + this.microSize + margin
+    );
+    if (stamps.length === 0) return;
+    
+    // Sample positions match generateMicroHeightMap's exactly
+    for (let z = 0; z < paddedResolution; z++) {
+      for (let x = 0; x < paddedResolution; x++) {
+        const worldX = chunkMinX + ((x - padding) / segments) * this.microSize;
+        const worldZ = chunkMinZ + ((z - padding) / segments) * this.microSize;
+        const i = z * paddedResolution + x;
+        heightMap[i] = this.applyStampsAt(worldX, worldZ, heightMap[i], stamps);
+      }
+    }
+  }
+  
+  // Lower a padded micro heightmap along the rivers crossing it
+  carveRivers(heightMap, resolution, padding, chunkMinX, chunkMinZ) {
+    const paddedResolution = resolution + padding * 2;
+    const segments = resolution - 1;
+    const margin = padding * this.microSize / segments;
+    const riverSegments = this.getRiverSegments(
+      chunkMinX - margin, chunkMinZ - margin,
+      chunkMinX + this.microSize + margin, chunkMinZ + this.microSize + margin
+    );
+    if (riverSegments.length === 0) return;
+    
+    // Sample positions match generateMicroHeightMap's exactly
+    for (let z = 0; z < paddedResolution; z++) {
+      for (let x = 0; x < paddedResolution; x++) {
+        const worldX = chunkMinX + ((x - padding) / segments) * this.microSize;
+        const worldZ = chunkMinZ + ((z - padding) / segments) * this.microSize;
+        heightMap[z * paddedResolution + x] -= this.getRiverCarveDepth(worldX, worldZ, riverSegments);
+      }
+    }
+  }
+  
+  // Raise a padded micro heightmap by the glacier ice lying on it
+  addGlacierIce(heightMap, resolution, padding, chunkMinX, chunkMinZ) {
+    if (!this.snow || !this.snow.enabled || !this.snow.glaciers) return;
+    
+    const paddedResolution = resolution + padding * 2;
+    const segments = resolution - 1;
+    
+    // Sample positions match generateMicroHeightMap's exactly
+    for (let z = 0; z < paddedResolution; z++) {
+      for (let x = 0; x < paddedResolution; x++) {
+        const worldX = chunkMinX + ((x - padding) / segments) * this.microSize;
+        const worldZ = chunkMinZ + ((z - padding) / segments) * this.microSize;
+        heightMap[z * paddedResolution + x] += this.getGlacierThickness(worldX, worldZ);
+      }
+    }
+  }
+  
+  // How many samples away post-processing can read: one per smoothing pass or thermal iteration
+  getPostProcessingReach() {
+    const thermal = this.getThermalErosionOptions();
+    return this.smoothingPasses + (thermal ? thermal.iterations : 0);
+  }
+  
+  // Number of extra sample rings needed around a chunk: the post-processing reach,
+  // plus one so the border normals can see the neighbouring triangles
+  getHeightmapPadding() {
+    return this.getPostProcessingReach() + 1;
+  }
+  
+  // Cut the unpadded heightmap out of a padded one
+  cropHeightMap(paddedHeightMap, resolution, padding) {
+    if (padding === 0) return paddedHeightMap;
+    
+    const paddedResolution = resolution + padding * 2;
+    const heightMap = new Float32Array(resolution * resolution);
+    
+    for (let z = 0; z < resolution; z++) {
+      const rowStart = (z + padding) * paddedResolution + padding;
+      heightMap.set(paddedHeightMap.subarray(rowStart, rowStart + resolution), z * resolution);
+    }
+    
+    return heightMap;
+  }
+  
+  // Sample the macro terrain on a lattice aligned to world coordinates.
+  // Chunks that overlap the same lattice points read identical values from it.
+  createMacroLattice(minX, minZ, maxX, maxZ) {
+    const spacing = this.macroLatticeSpacing;
+    const startX = Math.floor(minX / spacing);
+    const startZ = Math.floor(minZ / spacing);
+    const width = Math.ceil(maxX / spacing) - startX + 1;
+    const depth = Math.ceil(maxZ / spacing) - startZ + 1;
+    const heights = new Float32Array(width * depth);
+    
+    for (let z = 0; z < depth; z++) {
+      for (let x = 0; x < width; x++) {
+        heights[z * width + x] = this.getInterpolatedMacroHeight(
+          (startX + x) * spacing, (startZ + z) * spacing
+        );
+      }
+    }
+    
+    return { startX, startZ, width, depth, spacing, heights };
+  }
+  
+  // Bilinearly interpolate the macro lattice at a world position
+  getLatticeHeight(lattice, worldX, worldZ) {
+    const { startX, startZ, width, depth, spacing, heights } = lattice;
+    
+    // Work in global lattice coordinates so the result doesn't depend on the lattice origin
+    const gx = worldX / spacing;
+    const gz = worldZ / spacing;
+    const ix = Math.floor(gx);
+    const iz = Math.floor(gz);
+    const fractX = gx - ix;
+    const fractZ = gz - iz;
+    
+    const x0 = Math.max(0, Math.min(width - 1, ix - startX));
+    const z0 = Math.max(0, Math.min(depth - 1, iz - startZ));
+    const x1 = Math.min(width - 1, x0 + 1);
+    const z1 = Math.min(depth - 1, z0 + 1);
+    
+    const h00 = heights[z0 * width + x0];
+    const h10 = heights[z0 * width + x1];
+    const h01 = heights[z1 * width + x0];
+    const h11 = heights[z1 * width + x1];
+    
+    const h0 = h00 * (1 - fractX) + h10 * fractX;
+    const h1 = h01 * (1 - fractX) + h11 * fractX;
+    
+    return h0 * (1 - fractZ) + h1 * fractZ;
+  }
+  
+  // Determine which elevation zone a point belongs to
+  getElevationZone(normalizedHeight) {
+    for (const zone of this.elevationZones) {
+      if (normalizedHeight <= zone.threshold) {
+        return zone.name;
+      }
+    }
+    return "peaks"; // Default to peaks if above all thresholds
+  }
+  
+  // Get detail noise parameters appropriate for each elevation zone
+  getDetailParamsForElevation(zoneName, baseParams) {
+    // Create a copy of the base parameters
+    const params = {...baseParams};
+    
+    switch (zoneName) {
+      case "water":
+        // Very subtle, smooth variation for water
+        params.detailScale = 0.02;
+        params.persistence = 0.3;
+        params.lacunarity = 1.8;
+        params.octaves = 2;
+        params.exponent = 1.0;
+        break;
+      
+      case "lowlands":
+        // Gentle rolling hills, more rounded
+        params.detailScale = 0.1;
+        params.persistence = 0.4;
+        params.lacunarity = 1.9;
+        params.octaves = 3;
+        params.exponent = 1.5;
+        break;
+      
+      case "foothills":
+        // More varied terrain, medium detail
+        params.detailScale = 0.15;
+        params.persistence = 0.5;
+        params.lacunarity = 2.0;
+        params.octaves = 4;
+        params.exponent = 1.8;
+        break;
+      
+      case "mountains":
+        // Rugged terrain with sharper features
+        params.detailScale = 0.2;
+        params.persistence = 0.55;
+        params.lacunarity = 2.2;
+        params.octaves = 4;
+        params.exponent = 2.0;
+        break;
+      
+      case "peaks":
+        // Jagged peaks with dramatic details
+        params.detailScale = 0.25;
+        params.persistence = 0.6;
+        params.lacunarity = 2.5;
+        params.octaves = 3; // Less octaves for more dramatic shapes
+        params.exponent = 2.3;
+        break;
+      
+      default:
+        // Default parameters
+        params.detailScale = 0.2;
+    }
+    
+    return params;
+  }
+  
+  // Apply post-processing to heightmap for scree slopes and smoother terrain. Ground below the
+  // water level keeps its shape, so seabeds and lakebeds show through the water surface.
+  // The heightmap starts at a world position, where per-sample talus angles are looked up.
+  applyHeightmapPostProcessing(heightMap, resolution, cellSize, minX, minZ) {
+    // Let material slide off slopes steeper than the profile's talus angle
+    const thermal = this.getThermalErosionOptions();
+    if (thermal) {
+      const talusAngle = this.getTalusAngles(thermal, minX, minZ, resolution, resolution, cellSize);
+      applyThermalErosion(heightMap, resolution, resolution, { ...thermal, talusAngle, cellSize });
+    }
+    
+    // Apply smoothing to reduce artifacts and make terrain more natural
+    this.smoothHeightmap(heightMap, resolution, this.getSmoothingPasses(minX, minZ, resolution, resolution, cellSize));
+  }
+  
+  // Calculate slope at a point in macro terrain, read from a macro lattice
+  calculateMacroSlope(worldX, worldZ, lattice) {
+    const sampleDist = this.slopeSampleDistance;
+    
+    const hN = this.getLatticeHeight(lattice, worldX, worldZ - sampleDist);
+    const hS = this.getLatticeHeight(lattice, worldX, worldZ + sampleDist);
+    const hE = this.getLatticeHeight(lattice, worldX + sampleDist, worldZ);
+    const hW = this.getLatticeHeight(lattice, worldX - sampleDist, worldZ);
+    
+    const gradX = (hE - hW) / (2 * sampleDist);
+    const gradZ = (hS - hN) / (2 * sampleDist);
+    
+    return Math.sqrt(gradX * gradX + gradZ * gradZ);
+  }
+  
+  // Apply smoothing to heightmap. Passes is one count for every sample or an array with a count
+  // per sample; a fractional count applies its last pass partly.
+  smoothHeightmap(heightMap, resolution, passes = 1) {
+    const uniform = typeof passes === 'number';
+    const passCount = uniform ? passes : passes.reduce((max, count) => Math.max(max, count), 0);
+    if (passCount <= 0) return heightMap;
+    
+    const smoothed = new Float32Array(heightMap.length);
+    
+    for (let pass = 0; pass < passCount; pass++) {
+      for (let z = 0; z < resolution; z++) {
+        for (let x = 0; x < resolution; x++) {
+          const idx = z * resolution + x;
+          let sum = heightMap[idx]; // Include center point
+          let count = 1;
+          
+          // Simple 3x3 kernel
+          for (let dz = -1; dz <= 1; dz++) {
+            for (let dx = -1; dx <= 1; dx++) {
+              if (dx === 0 && dz === 0) continue;
+              
+              const nx = x + dx;
+              const nz = z + dz;
+              
+              if (nx >= 0 && nx < resolution && nz >= 0 && nz < resolution) {
+                sum += heightMap[nz * resolution + nx];
+                count++;
+              }
+            }
+          }
+          
+          smoothed[idx] = sum / count;
+        }
+      }
+      
+      // Copy back for next pass
+      for (let i = 0; i < heightMap.length; i++) {
+        const weight = Math.min(1, (uniform ? passes : passes[i]) - pass);
+        if (weight > 0) {
+          heightMap[i] += (smoothed[i] - heightMap[i]) * weight;
+        }
+      }
+    }
+    
+    return heightMap;
+  }
+  
+  
+  // Generate everything needed to build a micro chunk mesh at the given level of detail
+  generateChunkData(chunkX, chunkZ, resolution = this.microResolution) {
+    const worldX = chunkX * this.microSize;
+    const worldZ = chunkZ * this.microSize;
+    const padding = this.getHeightmapPadding();
+    
+    const paddedHeightMap = this.generateMicroHeightMap(chunkX, chunkZ, worldX, worldZ, resolution, padding);
+    const heightMap = this.cropHeightMap(paddedHeightMap, resolution, padding);
+    const positions = this.createChunkPositions(heightMap, resolution);
+    const normals = new Float32Array(positions.length);
+    this.computeHeightmapNormals(normals, paddedHeightMap, resolution, padding);
+    const colors = new Float32Array(positions.length);
+    const layers = new Float32Array(positions.length / 3 * 4);
+    const waterSurface = this.createWaterSurfaceMap(worldX, worldZ, resolution);
+    const climate = this.createClimateData(worldX, worldZ, heightMap, resolution);
+    const strata = this.createStrataData(worldX, worldZ, heightMap, resolution);
+    const snow = this.createSnowData(worldX, worldZ, heightMap, normals, resolution);
+    this.applyTerrainLayers(colors, layers, worldX, worldZ, heightMap, normals, resolution, waterSurface, climate, strata, snow);
+    const vegetation = this.createVegetation(chunkX, chunkZ, heightMap, waterSurface, climate, resolution);
+    const cliffs = this.createCliffData(normals, resolution);
+    
+    // Skirt vertices share the normals, colors, layers and cliffs of the border they hang from
+    this.copyBorderToSkirt(normals, resolution);
+    this.copyBorderToSkirt(colors, resolution);
+    this.copyBorderToSkirt(layers, resolution, 4);
+    this.copyBorderToSkirt(cliffs, resolution, 1);
+    
+    // Steep faces get extra vertices, and with them the chunk its own triangle index
+    const mesh = this.tessellateCliffs(paddedHeightMap, resolution, padding, { positions, normals, colors, layers, cliffs });
+    
+    return { heightMap, ...mesh, snowDepth: snow.depth, waterSurface, climate, vegetation };
+  }
+  
+  // How much of a cliff (0-1) ground of a slope is, in degrees. Slopes fade into cliffs over
+  // the blend range around the cliff angle.
+  getCliffWeight(slopeDegrees) {
+    if (!this.cliffs || !this.cliffs.enabled) return 0;
+    return smoothstep((slopeDegrees - this.cliffs.angle) / this.cliffs.blend + 0.5);
+  }
+  
+  // Cliff weight of every vertex of a chunk grid, from the slope of its normal. The array has
+  // room for the skirt vertices after the grid.
+  createCliffData(normals, resolution) {
+    const gridCount = resolution * resolution;
+    const cliffs = new Float32Array(gridCount + getSkirtVertexCount(resolution));
+    
+    for (let i = 0; i < gridCount; i++) {
+      const slope = Math.acos(Math.min(1, normals[i * 3 + 1])) * 180 / Math.PI;
+      cliffs[i] = this.getCliffWeight(slope);
+    }
+    
+    return cliffs;
+  }
+  
+  // How many quads along each side a cliff cell is split into (1 when cliffs aren't split)
+  getCliffSubdivisions() {
+    return this.cliffs && this.cliffs.enabled ? this.cliffs.subdivisions : 1;
+  }
+  
+  // The cells of a chunk grid that tessellateCliffs splits, from the cliff weights of the grid:
+  // for each cell the index of its first extra vertex, or -1 for cells left whole. A cell is
+  // split when any of its corners is mostly cliff, and the extra vertices follow the grid and
+  // skirt, cell by cell.
+  getCliffCellVertices(cliffs, resolution) {
+    const subdivisions = this.getCliffSubdivisions();
+    const segments = resolution - 1;
+    const firstVertices = new Int32Array(segments * segments).fill(-1);
+    if (subdivisions <= 1) return firstVertices;
+    
+    // Corners of a split cell are grid vertices already
+    const perCell = (subdivisions + 1) * (subdivisions + 1) - 4;
+    let next = resolution * resolution + getSkirtVertexCount(resolution);
+    for (let z = 0; z < segments; z++) {
+      for (let x = 0; x < segments; x++) {
+        const i = z * resolution + x;
+        if (Math.max(cliffs[i], cliffs[i + 1], cliffs[i + resolution], cliffs[i + resolution + 1]) >= 0.5) {
+          firstVertices[z * segments + x] = next;
+          next += perCell;
+        }
+      }
+    }
+    
+    return firstVertices;
+  }
+  
+  // Split the grid cells of cliffs into subdivisions × subdivisions smaller quads, so steep
+  // faces get vertices of their own instead of long stretched triangles. Heights inside a split
+  // cell follow a Catmull-Rom surface through the padded heightmap, clamped to the cell's
+  // corners (or an edge's ends) so it can't overshoot. Along edges shared with unsplit cells or the chunk border
+  // they stay on the straight edge, so no cracks open. Returns the vertex arrays with the new
+  // vertices appended, and the chunk's own triangle index (null when no cell was split).
+  tessellateCliffs(paddedHeightMap, resolution, padding, vertices) {
+    const subdivisions = this.getCliffSubdivisions();
+    const segments = resolution - 1;
+    const { cliffs } = vertices;
+    
+    const split = this.getCliffCellVertices(cliffs, resolution);
+    let splitCount = 0;
+    for (let cell = 0; cell < split.length; cell++) {
+      if (split[cell] >= 0) splitCount++;
+    }
+    if (splitCount === 0) return { ...vertices, index: null };
+    
+    const isSplit = (x, z) => x >= 0 && z >= 0 && x < segments && z < segments && split[z * segments + x] >= 0;
+    const paddedResolution = resolution + padding * 2;
+    const cellSize = this.microSize / segments;
+    const halfSize = this.microSize / 2;
+    
+    // Sub-vertices of a cell, without its corners, which are grid vertices already
+    const perCell = (subdivisions + 1) * (subdivisions + 1) - 4;
+    const baseCount = vertices.positions.length / 3;
+    const count = baseCount + splitCount * perCell;
+    const positions = new Float32Array(count * 3);
+    const normals = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    const layers = new Float32Array(count * 4);
+    const newCliffs = new Float32Array(count);
+    positions.set(vertices.positions);
+    normals.set(vertices.normals);
+    colors.set(vertices.colors);
+    layers.set(vertices.layers);
+    newCliffs.set(cliffs);
+    
+    // Catmull-Rom through the four padded samples around a position along one row
+    const catmullRom = (p0, p1, p2, p3, t) =>
+      0.5 * (2 * p1 + (p2 - p0) * t + (2 * p0 - 5 * p1 + 4 * p2 - p3) * t * t + (3 * p1 - p0 - 3 * p2 + p3) * t * t * t);
+    const sampleCurved = (x, z, tx, tz) => {
+      const rows = [];
+      for (let dz = -1; dz <= 2; dz++) {
+        const row = (z + padding + dz) * paddedResolution + x + padding;
+        rows.push(catmullRom(
+          paddedHeightMap[row - 1], paddedHeightMap[row], paddedHeightMap[row + 1], paddedHeightMap[row + 2], tx
+        ));
+      }
+      return catmullRom(rows[0], rows[1], rows[2], rows[3], tz);
+    };
+    
+    // Grid triangles of unsplit cells, then the skirt, then the split cells' triangles
+    const chunkIndex = createChunkIndex(resolution);
+    const gridLength = segments * segments * 6;
+    const index = new Uint32Array(chunkIndex.length + splitCount * (subdivisions * subdivisions - 1) * 6);
+    let length = 0;
+    for (let cell = 0; cell < segments * segments; cell++) {
+      if (split[cell] < 0) {
+        index.set(chunkIndex.subarray(cell * 6, cell * 6 + 6), length);
+        length += 6;
+      }
+    }
+    index.set(chunkIndex.subarray(gridLength), length);
+    length += chunkIndex.length - gridLength;
+    
+    const cellVertices = new Uint32Array((subdivisions + 1) * (subdivisions + 1));
+    
+    for (let z = 0; z < segments; z++) {
+      for (let x = 0; x < segments; x++) {
+        if (split[z * segments + x] < 0) continue;
+        
+        let next = split[z * segments + x];
+        const corners = [z * resolution + x, z * resolution + x + 1, (z + 1) * resolution + x, (z + 1) * resolution + x + 1];
+        const cornerHeights = corners.map(c => vertices.positions[c * 3 + 1]);
+        
+        for (let sz = 0; sz <= subdivisions; sz++) {
+          for (let sx = 0; sx <= subdivisions; sx++) {
+            const v = sz * (subdivisions + 1) + sx;
+            const atX = sx === 0 || sx === subdivisions;
+            const atZ = sz === 0 || sz === subdivisions;
+            
+            if (atX && atZ) {
+              cellVertices[v] = corners[(sz ? 2 : 0) + (sx ? 1 : 0)];
+              continue;
+            }
+            
+            const tx = sx / subdivisions;
+            const tz = sz / subdivisions;
+            const weights = [(1 - tx) * (1 - tz), tx * (1 - tz), (1 - tx) * tz, tx * tz];
+            
+            // Points on an edge shared with an unsplit cell stay on the straight edge
+            const straight =
+              (sx === 0 && !isSplit(x - 1, z)) || (sx === subdivisions && !isSplit(x + 1, z)) ||
+              (sz === 0 && !isSplit(x, z - 1)) || (sz === subdivisions && !isSplit(x, z + 1));
+            let height = 0;
+            for (let c = 0; c < 4; c++) height += cornerHeights[c] * weights[c];
+            if (!straight) {
+              // Points on an edge are clamped to that edge's ends, so the split cells either side,
+              // which have vertices of their own there, put them in the same place
+              const ends = atX ? [sx ? 1 : 0, sx ? 3 : 2] : atZ ? [sz ? 2 : 0, sz ? 3 : 1] : [0, 1, 2, 3];
+              const endHeights = ends.map(c => cornerHeights[c]);
+              const curved = sampleCurved(x, z, tx, tz);
+              height = Math.max(Math.min(...endHeights), Math.min(Math.max(...endHeights), curved));
+            }
+            
+            positions[next * 3] = (x + tx) * cellSize - halfSize;
+            positions[next * 3 + 1] = height;
+            positions[next * 3 + 2] = (z + tz) * cellSize - halfSize;
+            
+            // Other attributes blend between the corners
+            for (let c = 0; c < 4; c++) {
+              for (let k = 0; k < 3; k++) {
+                normals[next * 3 + k] += vertices.normals[corners[c] * 3 + k] * weights[c];
+                colors[next * 3 + k] += vertices.colors[corners[c] * 3 + k] * weights[c];
+              }
+              for (let k = 0; k < 4; k++) {
+                layers[next * 4 + k] += vertices.layers[corners[c] * 4 + k] * weights[c];
+              }
+              newCliffs[next] += cliffs[corners[c]] * weights[c];
+            }
+            const normalLength = Math.hypot(normals[next * 3], normals[next * 3 + 1], normals[next * 3 + 2]) || 1;
+            for (let k = 0; k < 3; k++) normals[next * 3 + k] /= normalLength;
+            
+            cellVertices[v] = next++;
+          }
+        }
+        
+        // Triangles in the same layout as the grid's
+        for (let sz = 0; sz < subdivisions; sz++) {
+          for (let sx = 0; sx < subdivisions; sx++) {
+            const a = cellVertices[sz * (subdivisions + 1) + sx];
+            const b = cellVertices[(sz + 1) * (subdivisions + 1) + sx];
+            const c = cellVertices[(sz + 1) * (subdivisions + 1) + sx + 1];
+            const d = cellVertices[sz * (subdivisions + 1) + sx + 1];
+            index[length++] = a; index[length++] = b; index[length++] = d;
+            index[length++] = b; index[length++] = c; index[length++] = d;
+          }
+        }
+      }
+    }
+    
+    return { positions, normals, colors, layers, cliffs: newCliffs, index };
+  }
+  
+  // Temperature and moisture at every vertex of a chunk grid
+  createClimateData(worldX, worldZ, heightMap, resolution = this.microResolution) {
+    const temperature = new Float32Array(resolution * resolution);
+    const moisture = new Float32Array(resolution * resolution);
+    const chunkMinX = worldX - this.microSize / 2;
+    const chunkMinZ = worldZ - this.microSize / 2;
+    const segments = resolution - 1;
+    
+    for (let z = 0; z < resolution; z++) {
+      for (let x = 0; x < resolution; x++) {
+        const i = z * resolution + x;
+        const vertexWorldX = chunkMinX + (x / segments) * this.microSize;
+        const vertexWorldZ = chunkMinZ + (z / segments) * this.microSize;
+        temperature[i] = this.getTemperature(vertexWorldX, vertexWorldZ, heightMap[i]);
+        moisture[i] = this.getMoisture(vertexWorldX, vertexWorldZ);
+      }
+    }
+    
+    return { temperature, moisture };
+  }
+  
+  // Snow cover and depth, and glacier ice thickness, at every vertex of a chunk grid
+  createSnowData(worldX, worldZ, heightMap, normals, resolution = this.microResolution) {
+    const cover = new Float32Array(resolution * resolution);
+    const depth = new Float32Array(resolution * resolution);
+    const ice = new Float32Array(resolution * resolution);
+    const chunkMinX = worldX - this.microSize / 2;
+    const chunkMinZ = worldZ - this.microSize / 2;
+    const segments = resolution - 1;
+    
+    for (let z = 0; z < resolution; z++) {
+      for (let x = 0; x < resolution; x++) {
+        const i = z * resolution + x;
+        const vertexWorldX = chunkMinX + (x / segments) * this.microSize;
+        const vertexWorldZ = chunkMinZ + (z / segments) * this.microSize;
+        const snow = this.getSnowAt(
+          vertexWorldX, vertexWorldZ, heightMap[i], normals[i * 3], normals[i * 3 + 1], normals[i * 3 + 2]
+        );
+        cover[i] = snow.cover;
+        depth[i] = snow.depth;
+        ice[i] = this.getGlacierThickness(vertexWorldX, vertexWorldZ);
+      }
+    }
+    
+    return { cover, depth, ice };
+  }
+  
+  // Rock layer and terracing strength at every vertex of a chunk grid, or null when no profile
+  // in the world is terraced
+  createStrataData(worldX, worldZ, heightMap, resolution = this.microResolution) {
+    if (!this.getWorldProfiles().some(profile => profile.params.terracing > 0)) return null;
+    
+    const layer = new Float32Array(resolution * resolution);
+    const terracing = new Float32Array(resolution * resolution);
+    const chunkMinX = worldX - this.microSize / 2;
+    const chunkMinZ = worldZ - this.microSize / 2;
+    const segments = resolution - 1;
+    
+    for (let z = 0; z < resolution; z++) {
+      for (let x = 0; x < resolution; x++) {
+        const i = z * resolution + x;
+        const vertexWorldX = chunkMinX + (x / segments) * this.microSize;
+        const vertexWorldZ = chunkMinZ + (z / segments) * this.microSize;
+        const params = this.getProfileParamsAt(vertexWorldX, vertexWorldZ);
+        
+        terracing[i] = params.terracing || 0;
+        if (terracing[i] > 0) {
+          layer[i] = this.getStrataLayer(vertexWorldX, vertexWorldZ, heightMap[i], params);
+        }
+      }
+    }
+    
+    return { layer, terracing };
+  }
+  
+  // Rock color of a strata layer, darkening slightly towards the bottom of the layer
+  getStrataColor(layer, target) {
+    const step = Math.floor(layer);
+    const [r, g, b] = STRATA_COLORS[deriveSeed(this.seed, 'strata', step) % STRATA_COLORS.length];
+    const shade = 0.85 + 0.15 * (layer - step);
+    return target.setRGB(r * shade, g * shade, b * shade);
+  }
+  
+  // Scatter the plants of a chunk. Candidate spots come from a generator seeded by the chunk and
+  // each grows a plant as often as its biomes allow, so the same plants grow at every level of
+  // detail that shows vegetation. Returns the kind of each plant, as an index into
+  // VEGETATION_KINDS, and its transform as [x, y, z, scale, rotation] relative to the chunk.
+  createVegetation(chunkX, chunkZ, heightMap, waterSurface, climate, resolution = this.microResolution) {
+    const kinds = [];
+    const transforms = [];
+    
+    if (this.vegetation && this.vegetation.enabled && resolution >= this.vegetation.minResolution) {
+      const random = createSeededRandom(deriveSeed(this.seed, 'vegetation', chunkX, chunkZ));
+      const candidates = Math.round(MAX_VEGETATION_DENSITY * this.vegetation.density * this.microSize * this.microSize);
+      const segments = resolution - 1;
+      const cellSize = this.microSize / segments;
+      const halfSize = this.microSize / 2;
+      
+      for (let c = 0; c < candidates; c++) {
+        // Every candidate draws the same numbers, so skipped spots don't move the others
+        const u = random();
+        const v = random();
+        const pick = random() * MAX_VEGETATION_DENSITY;
+        const scale = 0.7 + random() * 0.6;
+        const rotation = random() * Math.PI * 2;
+        
+        const gridX = u * segments;
+        const gridZ = v * segments;
+        const x0 = Math.min(segments - 1, Math.floor(gridX));
+        const z0 = Math.min(segments - 1, Math.floor(gridZ));
+        const fractX = gridX - x0;
+        const fractZ = gridZ - z0;
+        
+        const h00 = heightMap[z0 * resolution + x0];
+        const h10 = heightMap[z0 * resolution + x0 + 1];
+        const h01 = heightMap[(z0 + 1) * resolution + x0];
+        const h11 = heightMap[(z0 + 1) * resolution + x0 + 1];
+        const height = (h00 * (1 - fractX) + h10 * fractX) * (1 - fractZ) + (h01 * (1 - fractX) + h11 * fractX) * fractZ;
+        
+        // Nothing grows under water or on steep ground
+        const nearest = Math.round(gridZ) * resolution + Math.round(gridX);
+        const slope = Math.max(Math.abs(h10 - h00), Math.abs(h01 - h00)) / cellSize;
+        if (height < waterSurface[nearest] + 0.3 || slope > this.vegetation.maxSlope) continue;
+        
+        // Pick a kind in proportion to its density; where plants are sparse most spots stay empty
+        const densities = blendVegetationDensities(
+          getBiomeWeights(climate.temperature[nearest], climate.moisture[nearest])
+        );
+        let remaining = pick;
+        for (let k = 0; k < densities.length; k++) {
+          remaining -= densities[k];
+          if (remaining < 0) {
+            kinds.push(k);
+            transforms.push(u * this.microSize - halfSize, height, v * this.microSize - halfSize, scale, rotation);
+            break;
+          }
+        }
+      }
+    }
+    
+    return { kinds: new Uint8Array(kinds), transforms: new Float32Array(transforms) };
+  }
+  
+  // Water surface height at every vertex of a chunk grid
+  createWaterSurfaceMap(worldX, worldZ, resolution = this.microResolution) {
+    const surface = new Float32Array(resolution * resolution);
+    const chunkMinX = worldX - this.microSize / 2;
+    const chunkMinZ = worldZ - this.microSize / 2;
+    const segments = resolution - 1;
+    
+    for (let z = 0; z < resolution; z++) {
+      for (let x = 0; x < resolution; x++) {
+        const vertexWorldX = chunkMinX + (x / segments) * this.microSize;
+        const vertexWorldZ = chunkMinZ + (z / segments) * this.microSize;
+        surface[z * resolution + x] = this.getWaterSurface(vertexWorldX, vertexWorldZ).height;
+      }
+    }
+    
+    return surface;
+  }
+  
+  // Build the water surface of a chunk from its heights and water surface map: the grid cells
+  // with a corner below the water, at the surface height, in the chunk's local coordinates.
+  // Each vertex also gets the water depth there, negative where the ground rises above the
+  // surface, so the shoreline falls between vertices. Returns null for chunks without water.
+  createWaterGeometryData(heightMap, waterSurface, resolution = this.microResolution) {
+    const halfSize = this.microSize / 2;
+    const cellSize = this.microSize / (resolution - 1);
+    const vertexIds = new Int32Array(resolution * resolution).fill(-1);
+    const positions = [];
+    const depths = [];
+    const index = [];
+    
+    const addVertex = i => {
+      if (vertexIds[i] < 0) {
+        const x = i % resolution;
+        const z = (i - x) / resolution;
+        vertexIds[i] = depths.length;
+        positions.push(x * cellSize - halfSize, waterSurface[i], z * cellSize - halfSize);
+        depths.push(waterSurface[i] - heightMap[i]);
+      }
+      return vertexIds[i];
+    };
+    
+    for (let z = 0; z < resolution - 1; z++) {
+      for (let x = 0; x < resolution - 1; x++) {
+        const a = z * resolution + x;
+        const b = a + 1;
+        const c = a + resolution;
+        const d = c + 1;
+        
+        const wet = [a, b, c, d].some(i => heightMap[i] < waterSurface[i]);
+        if (!wet) continue;
+        
+        // Same winding as the terrain grid, so the surface faces up
+        index.push(addVertex(a), addVertex(c), addVertex(b), addVertex(c), addVertex(d), addVertex(b));
+      }
+    }
+    
+    if (index.length === 0) return null;
+    
+    return {
+      positions: new Float32Array(positions),
+      depths: new Float32Array(depths),
+      index: depths.length > 65535 ? new Uint32Array(index) : new Uint16Array(index)
+    };
+  }
+  
+  // Create local vertex positions for a chunk, laid out like a rotated PlaneGeometry,
+  // followed by the skirt vertices
+  createChunkPositions(heightMap, resolution = this.microResolution) {
+    const halfSize = this.microSize / 2;
+    const cellSize = this.microSize / (resolution - 1);
+    const gridCount = resolution * resolution;
+    const positions = new Float32Array((gridCount + getSkirtVertexCount(resolution)) * 3);
+    
+    for (let z = 0; z < resolution; z++) {
+      for (let x = 0; x < resolution; x++) {
+        const i = z * resolution + x;
+        positions[i * 3] = x * cellSize - halfSize;
+        positions[i * 3 + 1] = heightMap[i];
+        positions[i * 3 + 2] = z * cellSize - halfSize;
+      }
+    }
+    
+    // Skirt vertices sit straight below the border
+    const border = getBorderVertices(resolution);
+    for (let b = 0; b < border.length; b++) {
+      const source = border[b] * 3;
+      const target = (gridCount + b) * 3;
+      positions[target] = positions[source];
+      positions[target + 1] = positions[source + 1] - this.skirtDepth;
+      positions[target + 2] = positions[source + 2];
+    }
+    
+    return positions;
+  }
+  
+  // Copy a vertex attribute (3 components unless told otherwise) from the border vertices to
+  // their skirt vertices
+  copyBorderToSkirt(attribute, resolution, itemSize = 3) {
+    const gridCount = resolution * resolution;
+    const border = getBorderVertices(resolution);
+    
+    for (let b = 0; b < border.length; b++) {
+      const source = border[b] * itemSize;
+      const target = (gridCount + b) * itemSize;
+      for (let k = 0; k < itemSize; k++) {
+        attribute[target + k] = attribute[source + k];
+      }
+    }
+  }
+  
+  // Compute area-weighted vertex normals for the chunk grid from a padded heightmap.
+  // Triangles in the padding ring are included, so border vertices get the same
+  // normals as the matching vertices of the neighbouring chunk.
+  computeHeightmapNormals(normals, paddedHeightMap, resolution, padding) {
+    const paddedResolution = resolution + padding * 2;
+    const cellSize = this.microSize / (resolution - 1);
+    const accumulated = new Float32Array(paddedHeightMap.length * 3);
+    
+    // Add the normal of triangle (a, b, c) to its corners, using the same winding as the mesh.
+    // Offsets are built from grid steps so they don't depend on where the chunk sits.
+    const addFace = (a, b, c) => {
+      const ax = a % paddedResolution, az = (a - ax) / paddedResolution;
+      const bx = b % paddedResolution, bz = (b - bx) / paddedResolution;
+      const cx = c % paddedResolution, cz = (c - cx) / paddedResolution;
+      
+      // cb = C - B, ab = A - B
+      const cbX = (cx - bx) * cellSize;
+      const cbY = paddedHeightMap[c] - paddedHeightMap[b];
+      const cbZ = (cz - bz) * cellSize;
+      const abX = (ax - bx) * cellSize;
+      const abY = paddedHeightMap[a] - paddedHeightMap[b];
+      const abZ = (az - bz) * cellSize;
+      
+      // Face normal = cb x ab
+      const nX = cbY * abZ - cbZ * abY;
+      const nY = cbZ * abX - cbX * abZ;
+      const nZ = cbX * abY - cbY * abX;
+      
+      for (const v of [a, b, c]) {
+        accumulated[v * 3] += nX;
+        accumulated[v * 3 + 1] += nY;
+        accumulated[v * 3 + 2] += nZ;
+      }
+    };
+    
+    // Only cells touching the chunk grid contribute to its normals
+    for (let iz = padding - 1; iz < padding + resolution; iz++) {
+      for (let ix = padding - 1; ix < padding + resolution; ix++) {
+        const a = ix + paddedResolution * iz;
+        const b = ix + paddedResolution * (iz + 1);
+        const c = (ix + 1) + paddedResolution * (iz + 1);
+        const d = (ix + 1) + paddedResolution * iz;
+        
+        addFace(a, b, d);
+        addFace(b, c, d);
+      }
+    }
+    
+    // Crop and normalize
+    for (let z = 0; z < resolution; z++) {
+      for (let x = 0; x < resolution; x++) {
+        const source = ((z + padding) * paddedResolution + (x + padding)) * 3;
+        const target = (z * resolution + x) * 3;
+        const nx = accumulated[source], ny = accumulated[source + 1], nz = accumulated[source + 2];
+        const inverseLength = 1 / (Math.sqrt(nx * nx + ny * ny + nz * nz) || 1);
+        normals[target] = nx * inverseLength;
+        normals[target + 1] = ny * inverseLength;
+        normals[target + 2] = nz * inverseLength;
+      }
+    }
+    
+    return normals;
+  }
+  
+  // Weigh the surface layers of the terrain of a chunk centred on a world position, based on
+  // altitude, slope, elevation zones and biomes, for the terrain material to blend. The weights
+  // of the grass, dirt, rock and sand layers go in `layers`, four per vertex; snow takes the
+  // rest. The vertex colors get the tint the layer textures are multiplied by: the biome's hue on
+  // grass, the rock bands of terraced ground, the darkening of lakebeds and the blue of glacier
+  // ice. Everything is measured in world space, so neighbouring chunks agree along their shared
+  // edges.
+  // The water surface gives the lake or sea level at each vertex; without it the sea level is used.
+  // The climate gives the temperature and moisture at each vertex, which pick the biome ground
+  // cover; without it the ground is plain grass. The strata give the rock layer of terraced
+  // ground, whose bands show on the risers and tint the benches. The snow gives the snow cover
+  // and glacier ice at each vertex, laid over everything above water.
+  applyTerrainLayers(colors, layers, worldX, worldZ, heightMap, normals, resolution = this.microResolution, waterSurface = null, climate = null, strata = null, snow = null) {
+    const chunkMinX = worldX - this.microSize / 2;
+    const chunkMinZ = worldZ - this.microSize / 2;
+    const segments = resolution - 1;
+    
+    // Slopes are the rise over two full-resolution cells relative to the height scale, taken
+    // from the normals so they don't depend on the level of detail
+    const slopeScale = 2 * this.microSize / (this.microResolution - 1) / this.heightScale * 10;
+    
+    // Variation that follows the ground rather than the vertex grid
+    const variation = (x, z, frequency, offset) =>
+      this.detailNoise(x * frequency + offset, z * frequency + offset) * 0.5 + 0.5;
+    
+    // Tints are relative to the layer colors the textures are drawn in
+    const layerColors = TERRAIN_LAYERS.map(layer => new THREE.Color(...layer.color));
+    const tintFrom = (color, layer, target) => target.setRGB(
+      color.r / layerColors[layer].r, color.g / layerColors[layer].g, color.b / layerColors[layer].b
+    );
+    const lakebedTint = tintFrom(new THREE.Color(0.25, 0.24, 0.18), TerrainLayer.sand, new THREE.Color());
+    const iceTint = tintFrom(new THREE.Color(0.72, 0.84, 0.92), TerrainLayer.snow, new THREE.Color());
+    const darkRockTint = new THREE.Color(0.75, 0.75, 0.75);
+    const white = new THREE.Color(1, 1, 1);
+    
+    const weights = new Float32Array(TERRAIN_LAYERS.length);
+    const tints = TERRAIN_LAYERS.map(() => new THREE.Color());
+    const biomeWeights = new Float32Array(BIOME_IDS.length);
+    const ground = {};
+    const groundColor = new THREE.Color();
+    const strataColor = new THREE.Color();
+    const tint = new THREE.Color();
+    const rockShade = new THREE.Color();
+    
+    // Lay a layer in a tint over the layers so far, covering the given share (0-1) of them
+    const cover = (layer, amount, layerTint = white) => {
+      if (amount <= 0) return;
+      for (let k = 0; k < weights.length; k++) weights[k] *= 1 - amount;
+      tints[layer].lerp(layerTint, amount / (weights[layer] + amount));
+      weights[layer] += amount;
+    };
+    
+    // Start from the biome's ground cover, with its hue on the grass
+    const coverGround = () => {
+      for (const layer in ground) weights[TerrainLayer[layer]] = ground[layer];
+      tintFrom(groundColor, TerrainLayer.grass, tints[TerrainLayer.grass]);
+    };
+    
+    for (let i = 0; i < heightMap.length; i++) {
+        const height = heightMap[i];
+        const waterHeight = waterSurface ? waterSurface[i] : this.waterLevel;
+        const normalizedHeight = this.getNormalizedHeight(height);
+        const normalY = Math.max(0.01, normals[i * 3 + 1]);
+        const slope = Math.sqrt(1 - normalY * normalY) / normalY * slopeScale;
+        const vertexWorldX = chunkMinX + (i % resolution) / segments * this.microSize;
+        const vertexWorldZ = chunkMinZ + Math.floor(i / resolution) / segments * this.microSize;
+        
+        weights.fill(0);
+        tints.forEach(layerTint => layerTint.copy(white));
+        
+        // Ground cover and color of the biome
+        const noiseFactor = variation(vertexWorldX, vertexWorldZ, 0.05, 0);
+        if (climate) {
+          getBiomeWeights(climate.temperature[i], climate.moisture[i], biomeWeights);
+          blendBiomeColor(biomeWeights, noiseFactor, groundColor);
+          blendBiomeGround(biomeWeights, ground);
+        } else {
+          groundColor.setRGB(0.3, 0.65, 0.3);
+          ground.grass = 1;
+        }
+        
+        // Darker and lighter rock, in patches
+        const rockTint = rockShade.copy(white).lerp(darkRockTint, variation(vertexWorldX, vertexWorldZ, 0.11, 31.7));
+        
+        // First determine the elevation zone
+        const zoneName = this.getElevationZone(normalizedHeight);
+        
+        if (height <= waterHeight + 0.1) {
+        // Lakebed and seabed - sand along the shore, darkening to silt in deeper water.
+        // The water surface mesh is drawn over it.
+        const depthFactor = Math.max(0, Math.min(1, (waterHeight - height) / 6));
+        cover(TerrainLayer.sand, 1, tint.copy(white).lerp(lakebedTint, depthFactor));
+        } 
+        else if ((zoneName === "water" || zoneName === "lowlands") && normalizedHeight < 0.25) {
+        // Beach/sand transition - closer to water is more sandy
+        const sandFactor = 1.0 - (normalizedHeight - 0.15) / 0.1;
+        coverGround();
+        cover(TerrainLayer.sand, Math.max(0, Math.min(1, sandFactor)));
+        }
+        else if (zoneName === "lowlands") {
+        // Lowlands - biome ground cover, with more dirt on slopes
+        const slopeFactor = Math.min(1, slope * 2.5);
+        coverGround();
+        cover(TerrainLayer.dirt, slopeFactor * 0.7);
+        }
+        else if (zoneName === "foothills") {
+        // Foothills - transition from ground cover to dirt and rock
+        const t = (normalizedHeight - 0.35) / 0.25;
+        const baseMix = Math.max(0, Math.min(1, t));
+        
+        // Add slope factor - more rocky on steeper slopes
+        const slopeFactor = Math.min(1, slope * 2);
+        const finalMix = Math.min(1, baseMix + slopeFactor * 0.3);
+        
+        coverGround();
+        cover(TerrainLayer.dirt, finalMix * 0.5);
+        cover(TerrainLayer.rock, finalMix * 0.5, rockTint);
+        }
+        else if (zoneName === "mountains") {
+        // Mountains - rocky with some vegetation in lower parts
+        const t = (normalizedHeight - 0.6) / 0.2;
+        let alpineMix = Math.max(0, 1.0 - Math.min(1, t * 2));
+        
+        // Reduce alpine vegetation on very steep slopes
+        alpineMix *= (1.0 - Math.min(1, slope * 1.5));
+        
+        coverGround();
+        cover(TerrainLayer.rock, 1 - alpineMix * 0.5, rockTint);
+        }
+        else if (zoneName === "peaks") {
+        // Mountain peaks - bare rock; snow is laid over it below, at the same altitude everywhere
+        cover(TerrainLayer.rock, 1, rockTint);
+        }
+        
+        // Banded rock on terraced ground above the water, strongest on the steep risers
+        if (strata && strata.terracing[i] > 0 && height > waterHeight + 0.1) {
+        const exposure = Math.min(1, 0.35 + slope * 2);
+        const bandColor = this.getStrataColor(strata.layer[i], strataColor);
+        cover(TerrainLayer.rock, strata.terracing[i] * exposure, tintFrom(bandColor, TerrainLayer.rock, tint));
+        }
+        
+        // Glacier ice, then snow over it
+        if (snow && height > waterHeight + 0.1) {
+        cover(TerrainLayer.snow, smoothstep(snow.ice[i] / 3), iceTint);
+        cover(TerrainLayer.snow, snow.cover[i]);
+        }
+        
+        // The vertex tint blends the layers' tints
+        tint.setRGB(0, 0, 0);
+        for (let k = 0; k < weights.length; k++) {
+          tint.r += tints[k].r * weights[k];
+          tint.g += tints[k].g * weights[k];
+          tint.b += tints[k].b * weights[k];
+        }
+        colors[i * 3] = tint.r;
+        colors[i * 3 + 1] = tint.g;
+        colors[i * 3 + 2] = tint.b;
+        
+        // Snow is left out; it takes whatever the other layers leave
+        layers[i * 4] = weights[TerrainLayer.grass];
+        layers[i * 4 + 1] = weights[TerrainLayer.dirt];
+        layers[i * 4 + 2] = weights[TerrainLayer.rock];
+        layers[i * 4 + 3] = weights[TerrainLayer.sand];
+    }
+  }
+}
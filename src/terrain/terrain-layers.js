@@ -0,0 +1,160 @@
+// src/terrain/terrain-layers.js
+// Surface layers of the terrain: grass, dirt, rock, sand and snow. The generator weighs them at
+// every vertex and the terrain material paints them with tileable textures generated here.
+import * as THREE from 'three';
+import { createSeededRandom, deriveSeed } from '../utils/random.js';
+
+// Size in texels of each layer texture
+const TEXTURE_SIZE = 256;
+
+// Layers in texture order. Each layer's texture repeats every `scale` metres, shades its color
+// by the layer's pattern (0-1) by up to `contrast`, and its detail normals are `bumpiness`
+// strong. Vertex weights hold the first four layers; snow takes whatever they leave.
+export const TERRAIN_LAYERS = [
+  { name: 'grass', color: [0.3, 0.55, 0.24], scale: 3, contrast: 0.5, bumpiness: 0.6 },
+  { name: 'dirt', color: [0.46, 0.37, 0.27], scale: 4, contrast: 0.6, bumpiness: 1 },
+  { name: 'rock', color: [0.52, 0.5, 0.47], scale: 8, contrast: 0.8, bumpiness: 1.6 },
+  { name: 'sand', color: [0.74, 0.67, 0.49], scale: 5, contrast: 0.3, bumpiness: 0.5 },
+  { name: 'snow', color: [0.93, 0.94, 0.97], scale: 6, contrast: 0.12, bumpiness: 0.3 }
+];
+
+// Index of each layer by name, e.g. TerrainLayer.rock
+export const TerrainLayer = Object.fromEntries(TERRAIN_LAYERS.map((layer, index) => [layer.name, index]));
+
+// Smooth 0-1 ramp
+function smoothstep(t) {
+  const x = Math.max(0, Math.min(1, t));
+  return x * x * (3 - 2 * x);
+}
+
+// Value noise on a random lattice that wraps around every `period` cells, so anything built
+// from it over a 0-1 square tiles seamlessly
+function createTileableNoise(random) {
+  const lattices = new Map();
+  
+  return (u, v, periodX, periodY = periodX) => {
+    const key = periodX * 65536 + periodY;
+    if (!lattices.has(key)) {
+      lattices.set(key, Float32Array.from({ length: periodX * periodY }, () => random()));
+    }
+    const lattice = lattices.get(key);
+    
+    const x = u * periodX;
+    const y = v * periodY;
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const tx = smoothstep(x - x0);
+    const ty = smoothstep(y - y0);
+    const at = (cx, cy) => lattice[((cy % periodY + periodY) % periodY) * periodX + (cx % periodX + periodX) % periodX];
+    
+    const top = at(x0, y0) * (1 - tx) + at(x0 + 1, y0) * tx;
+    const bottom = at(x0, y0 + 1) * (1 - tx) + at(x0 + 1, y0 + 1) * tx;
+    return top * (1 - ty) + bottom * ty;
+  };
+}
+
+// Fractal sum of tileable noise, starting at a whole number of cells across the texture
+function tileableFractal(noise, u, v, periodX, periodY, octaves) {
+  let value = 0;
+  let amplitude = 0.5;
+  let normalization = 0;
+  for (let o = 0; o < octaves; o++) {
+    value += noise(u, v, periodX << o, periodY << o) * amplitude;
+    normalization += amplitude;
+    amplitude *= 0.5;
+  }
+  return value / normalization;
+}
+
+// Each layer's pattern at a texture position (0-1 square), from 0 to 1. It sets both the
+// layer's shading and its surface height, for detail normals and height blending.
+const LayerPatterns = {
+  // Fine tufts with darker patches between them
+  grass: (noise, u, v) =>
+    tileableFractal(noise, u, v, 8, 8, 3) * 0.4 + tileableFractal(noise, u, v, 64, 64, 2) * 0.6,
+  
+  // Clods of earth strewn with small stones
+  dirt: (noise, u, v) => {
+    const ground = tileableFractal(noise, u, v, 8, 8, 4);
+    const stones = smoothstep((tileableFractal(noise, u, v, 32, 32, 2) - 0.62) * 8);
+    return ground * 0.7 + stones * 0.3;
+  },
+  
+  // Cracked rock with layering stretched along the horizontal
+  rock: (noise, u, v) => {
+    const layering = tileableFractal(noise, u, v, 4, 16, 4);
+    const cracks = 1 - Math.abs(tileableFractal(noise, u, v, 8, 8, 3) * 2 - 1);
+    return layering * 0.6 + (1 - Math.pow(cracks, 6)) * 0.4;
+  },
+  
+  // Wind ripples, bent by low-frequency noise
+  sand: (noise, u, v) => {
+    const bend = tileableFractal(noise, u, v, 4, 4, 2) * 1.5;
+    const ripples = Math.sin((v * 16 + bend) * Math.PI * 2) * 0.5 + 0.5;
+    return ripples * 0.6 + tileableFractal(noise, u, v, 32, 32, 2) * 0.4;
+  },
+  
+  // Soft drifts
+  snow: (noise, u, v) => tileableFractal(noise, u, v, 4, 4, 4)
+};
+
+/**
+ * Generate the tileable textures of every terrain layer, as two texture arrays with one layer
+ * per terrain layer: `albedo` holds the color with the pattern height in alpha, and `normal`
+ * the detail normals, with x along the world X axis and y along the world Z axis.
+ */
+export function createTerrainLayerTextures(seed = 0) {
+  const layerSize = TEXTURE_SIZE * TEXTURE_SIZE * 4;
+  const albedo = new Uint8Array(layerSize * TERRAIN_LAYERS.length);
+  const normal = new Uint8Array(layerSize * TERRAIN_LAYERS.length);
+  
+  TERRAIN_LAYERS.forEach((layer, index) => {
+    const noise = createTileableNoise(createSeededRandom(deriveSeed(seed, 'terrain-layer', layer.name)));
+    const pattern = LayerPatterns[layer.name];
+    const heights = new Float32Array(TEXTURE_SIZE * TEXTURE_SIZE);
+    for (let y = 0; y < TEXTURE_SIZE; y++) {
+      for (let x = 0; x < TEXTURE_SIZE; x++) {
+        heights[y * TEXTURE_SIZE + x] = pattern(noise, x / TEXTURE_SIZE, y / TEXTURE_SIZE);
+      }
+    }
+    
+    const offset = index * layerSize;
+    const heightAt = (x, y) => heights[((y + TEXTURE_SIZE) % TEXTURE_SIZE) * TEXTURE_SIZE + (x + TEXTURE_SIZE) % TEXTURE_SIZE];
+    
+    for (let y = 0; y < TEXTURE_SIZE; y++) {
+      for (let x = 0; x < TEXTURE_SIZE; x++) {
+        const i = offset + (y * TEXTURE_SIZE + x) * 4;
+        const height = heightAt(x, y);
+        
+        const shade = 1 + (height - 0.5) * layer.contrast;
+        for (let c = 0; c < 3; c++) {
+          albedo[i + c] = Math.round(Math.min(1, layer.color[c] * shade) * 255);
+        }
+        albedo[i + 3] = Math.round(height * 255);
+        
+        // Slopes of the pattern wrap around the edges like the pattern does
+        const dx = (heightAt(x + 1, y) - heightAt(x - 1, y)) * layer.bumpiness * TEXTURE_SIZE / 64;
+        const dy = (heightAt(x, y + 1) - heightAt(x, y - 1)) * layer.bumpiness * TEXTURE_SIZE / 64;
+        const length = Math.hypot(dx, dy, 1);
+        normal[i] = Math.round((-dx / length * 0.5 + 0.5) * 255);
+        normal[i + 1] = Math.round((-dy / length * 0.5 + 0.5) * 255);
+        normal[i + 2] = Math.round((1 / length * 0.5 + 0.5) * 255);
+        normal[i + 3] = 255;
+      }
+    }
+  });
+  
+  const createArray = data => {
+    const texture = new THREE.DataArrayTexture(data, TEXTURE_SIZE, TEXTURE_SIZE, TERRAIN_LAYERS.length);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.magFilter = THREE.LinearFilter;
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.generateMipmaps = true;
+    texture.anisotropy = 4;
+    texture.needsUpdate = true;
+    return texture;
+  };
+  
+  return { albedo: createArray(albedo), normal: createArray(normal) };
+}
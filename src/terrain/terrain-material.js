@@ -0,0 +1,153 @@
+// src/terrain/terrain-material.js
+// Terrain surface material: textured grass, dirt, rock, sand and snow layers blended by per-vertex
+// weights, with lighting, shadows and fog. Cliffs turn to triplanar-mapped rock.
+import * as THREE from 'three';
+import { TERRAIN_LAYERS, TerrainLayer, createTerrainLayerTextures } from './terrain-layers.js';
+
+const vertexDeclarations = `
+  attribute vec4 layers;
+  attribute float cliff;
+  
+  varying vec4 vLayers;
+  varying float vCliff;
+  varying vec3 vTerrainPosition;
+  varying vec3 vTerrainNormal;
+`;
+
+const vertexMain = `
+  vLayers = layers;
+  vCliff = cliff;
+  vTerrainPosition = (modelMatrix * vec4(transformed, 1.0)).xyz;
+  vTerrainNormal = normalize(mat3(modelMatrix) * objectNormal);
+`;
+
+const fragmentDeclarations = `
+  #define LAYER_COUNT ${TERRAIN_LAYERS.length}
+  #define ROCK_LAYER ${TerrainLayer.rock}
+  #define MACRO_LAYER ${TerrainLayer.dirt}
+  
+  uniform sampler2DArray layerAlbedo;
+  uniform sampler2DArray layerNormal;
+  uniform float layerScales[LAYER_COUNT];
+  uniform float layerSharpness;
+  uniform float farScale;
+  uniform vec2 farDistance;
+  uniform float macroScale;
+  uniform float macroVariation;
+  
+  varying vec4 vLayers;
+  varying float vCliff;
+  varying vec3 vTerrainPosition;
+  varying vec3 vTerrainNormal;
+  
+  // A layer's texture looked at from above, sampled at its own scale and at a coarser one that
+  // takes over with distance, so the repeats don't line up into a visible grid
+  vec4 sampleLayer(sampler2DArray textures, int layer, vec2 position, float farBlend) {
+    vec2 uv = position / layerScales[layer];
+    vec4 near = texture(textures, vec3(uv, float(layer)));
+    vec4 distant = texture(textures, vec3(uv / farScale, float(layer)));
+    return mix(near, distant, farBlend);
+  }
+  
+  // Rock seen along each axis, blended by how squarely the surface faces it. Faces looking
+  // sideways are stretched along the horizontal, so their pattern reads as layered rock.
+  vec4 sampleTriplanarRock(sampler2DArray textures, vec3 position, vec3 normal) {
+    vec3 weights = pow(abs(normal), vec3(4.0));
+    weights /= weights.x + weights.y + weights.z;
+    
+    vec3 p = position / layerScales[ROCK_LAYER];
+    vec4 facingX = texture(textures, vec3(p.z * 0.35, p.y * 1.5, float(ROCK_LAYER)));
+    vec4 facingY = texture(textures, vec3(p.xz, float(ROCK_LAYER)));
+    vec4 facingZ = texture(textures, vec3(p.x * 0.35, p.y * 1.5, float(ROCK_LAYER)));
+    return facingX * weights.x + facingY * weights.y + facingZ * weights.z;
+  }
+`;
+
+// Blend the layers into the surface color. The vertex color, already in diffuseColor, tints
+// the result. Layers meet along the peaks of their patterns rather than in a smooth fade, and
+// the detail normals of the blend are kept for the lighting.
+const fragmentColor = `
+  float terrainDistance = distance(cameraPosition, vTerrainPosition);
+  float farBlend = smoothstep(farDistance.x, farDistance.y, terrainDistance);
+  
+  // Snow covers whatever the other layers leave, and cliffs are always rock
+  float layerWeights[LAYER_COUNT];
+  layerWeights[0] = vLayers.x;
+  layerWeights[1] = vLayers.y;
+  layerWeights[2] = vLayers.z;
+  layerWeights[3] = vLayers.w;
+  layerWeights[4] = max(0.0, 1.0 - vLayers.x - vLayers.y - vLayers.z - vLayers.w);
+  for (int i = 0; i < LAYER_COUNT; i++) layerWeights[i] *= 1.0 - vCliff;
+  layerWeights[ROCK_LAYER] += vCliff;
+  
+  vec3 terrainNormal = normalize(vTerrainNormal);
+  vec4 layerColors[LAYER_COUNT];
+  float totalWeight = 0.0;
+  for (int i = 0; i < LAYER_COUNT; i++) {
+    layerColors[i] = i == ROCK_LAYER && vCliff > 0.0 ?
+      mix(sampleLayer(layerAlbedo, i, vTerrainPosition.xz, farBlend), sampleTriplanarRock(layerAlbedo, vTerrainPosition, terrainNormal), vCliff) :
+      sampleLayer(layerAlbedo, i, vTerrainPosition.xz, farBlend);
+    layerWeights[i] = pow(layerWeights[i] * (0.25 + layerColors[i].a), layerSharpness);
+    totalWeight += layerWeights[i];
+  }
+  
+  vec3 layerColor = vec3(0.0);
+  vec3 layerBump = vec3(0.0);
+  for (int i = 0; i < LAYER_COUNT; i++) {
+    float weight = layerWeights[i] / max(totalWeight, 1e-5);
+    layerColor += layerColors[i].rgb * weight;
+    layerBump += (sampleLayer(layerNormal, i, vTerrainPosition.xz, farBlend).xyz * 2.0 - 1.0) * weight;
+  }
+  
+  // Broad light and dark patches, far larger than any texture
+  float macroShade = texture(layerAlbedo, vec3(vTerrainPosition.xz / macroScale, float(MACRO_LAYER))).a;
+  layerColor *= 1.0 + (macroShade - 0.5) * macroVariation;
+  
+  diffuseColor.rgb *= layerColor;
+`;
+
+// Tilt the shading normal by the blended detail normals, which fade out with distance
+const fragmentNormal = `
+  vec3 bumpX = (viewMatrix * vec4(1.0, 0.0, 0.0, 0.0)).xyz;
+  vec3 bumpZ = (viewMatrix * vec4(0.0, 0.0, 1.0, 0.0)).xyz;
+  normal = normalize(normal + (bumpX * layerBump.x + bumpZ * layerBump.y) * (1.0 - farBlend) * (1.0 - vCliff));
+`;
+
+// Create the material shared by all terrain chunks. Geometry needs vertex colors (a tint), a
+// `layers` attribute with the weights of the grass, dirt, rock and sand layers (snow takes the
+// rest) and a `cliff` attribute holding how much of a cliff (0-1) each vertex is.
+export function createTerrainMaterial() {
+  const material = new THREE.MeshStandardMaterial({
+    vertexColors: true,
+    flatShading: false,
+    metalness: 0.0,
+    roughness: 0.85
+  });
+  
+  const textures = createTerrainLayerTextures();
+  const layerUniforms = {
+    layerAlbedo: { value: textures.albedo },
+    layerNormal: { value: textures.normal },
+    layerScales: { value: TERRAIN_LAYERS.map(layer => layer.scale) },
+    layerSharpness: { value: 4 },       // Higher values give crisper borders between layers
+    farScale: { value: 5.3 },           // How much larger the distant textures are drawn
+    farDistance: { value: new THREE.Vector2(30, 220) },  // Distances over which they take over, in metres
+    macroScale: { value: 400 },         // World size of the broad color patches, in metres
+    macroVariation: { value: 0.3 }      // How much the patches brighten and darken the ground
+  };
+  
+  material.onBeforeCompile = shader => {
+    Object.assign(shader.uniforms, layerUniforms);
+    
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `#include <common>\n${vertexDeclarations}`)
+      .replace('#include <begin_vertex>', `#include <begin_vertex>\n${vertexMain}`);
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', `#include <common>\n${fragmentDeclarations}`)
+      .replace('#include <color_fragment>', `#include <color_fragment>\n${fragmentColor}`)
+      .replace('#include <normal_fragment_maps>', `#include <normal_fragment_maps>\n${fragmentNormal}`);
+  };
+  material.customProgramCacheKey = () => 'terrain-layers';
+  
+  return material;
+}
@@ -2,14 +2,20 @@
 import * as THREE from 'three';
 import { createNoise2D } from 'simplex-noise';
 import { TerrainProfiles, getProfile } from './profiles.js';
+import { createSeededRandom } from '../utils/random.js';
+import { fractalNoise } from './noise-bases.js';
 
-// Create a small terrain sample with the given profile
-export function createTerrainSample(width = 256, depth = 256, height = 50, profileName) {
+// Regression samples: a profile with some params changed, shown beside the profiles so the
+// effect of those params stays visible
+const REGRESSION_SAMPLES = [
+  { profileName: 'sierra', label: 'Sierra Nevada without asymmetry', params: { asymmetry: 0 } }
+];
+
+// Create a small terrain sample with the given profile. Params override the profile's, and
+// samples made with the same noise can be compared directly.
+export function createTerrainSample(width = 256, depth = 256, height = 50, profileName, { params: overrides = {}, noise2D = createNoise2D() } = {}) {
   const profile = getProfile(profileName);
-  const params = profile.params;
-  
-  // Create noise generator
-  const noise2D = createNoise2D();
+  const params = { ...profile.params, ...overrides };
   
   // Create geometry
   const geometry = new THREE.PlaneGeometry(width, depth, 100, 100);
@@ -76,11 +82,15 @@ export function createComparisonScene() {
   sunLight.castShadow = true;
   scene.add(sunLight);
   
-  // Create samples of each terrain profile
+  // Create samples of each terrain profile, plus the regression samples, all from the same noise
   const samples = [];
   const sampleSize = 200;
   const spacing = sampleSize + 20;
-  const profiles = Object.keys(TerrainProfiles);
+  const profiles = [
+    ...Object.keys(TerrainProfiles).map(profileName => ({ profileName })),
+    ...REGRESSION_SAMPLES
+  ];
+  const noise2D = createNoise2D(createSeededRandom(42));
   
   // Calculate grid layout
   const cols = Math.ceil(Math.sqrt(profiles.length));
@@ -91,18 +101,18 @@ export function createComparisonScene() {
   const offsetZ = (rows - 1) * spacing / 2;
   
   // Create and position each sample
-  profiles.forEach((profileName, index) => {
+  profiles.forEach(({ profileName, label, params }, index) => {
     const row = Math.floor(index / cols);
     const col = index % cols;
     
-    const sample = createTerrainSample(sampleSize, sampleSize, 50, profileName);
+    const sample = createTerrainSample(sampleSize, sampleSize, 50, profileName, { params, noise2D });
     sample.mesh.position.set(col * spacing - offsetX, 0, row * spacing - offsetZ);
     scene.add(sample.mesh);
     
     // Add profile name as text
     const textDiv = document.createElement('div');
     textDiv.className = 'terrain-label';
-    textDiv.textContent = sample.profile;
+    textDiv.textContent = label || sample.profile;
     textDiv.style.position = 'absolute';
     textDiv.style.color = 'white';
     textDiv.style.backgroundColor = 'rgba(0,0,0,0.5)';
@@ -163,11 +173,6 @@ export function createComparisonScene() {
 function createSampleHeightMap(width, depth, noise2D, heightScale, params) {
   const heightMap = new Float32Array(width * depth);
   const {
-    octaves = 6,
-    persistence = 0.5,
-    lacunarity = 2.0,
-    initialFrequency = 1.0,
-    ridge = 0.8,
     exponent = 2.0,
     heightScale: profileScale = 100,
     smoothingPasses = 0
@@ -183,32 +188,8 @@ function createSampleHeightMap(width, depth, noise2D, heightScale, params) {
       const nx = x / width;
       const nz = z / depth;
       
-      let amplitude = 1.0;
-      let frequency = initialFrequency;
-      let noiseHeight = 0;
-      let normalization = 0;
-      
-      // Sum multiple octaves of noise
-      for (let o = 0; o < octaves; o++) {
-        const sampleX = (nx * frequency) + offsetX;
-        const sampleZ = (nz * frequency) + offsetZ;
-        
-        let noiseValue = noise2D(sampleX, sampleZ);
-        
-        // Ridge noise transformation
-        noiseValue = Math.abs(noiseValue);
-        noiseValue = ridge - noiseValue;
-        noiseValue = noiseValue * noiseValue;
-        
-        noiseHeight += noiseValue * amplitude;
-        normalization += amplitude;
-        
-        amplitude *= persistence;
-        frequency *= lacunarity;
-      }
-      
-      // Normalize and apply transformations
-      noiseHeight /= normalization;
+      // Fractal noise in the profile's basis, shaped as in the terrain generator
+      let noiseHeight = fractalNoise(noise2D, nx + offsetX, nz + offsetZ, params, offsetX);
       noiseHeight = Math.pow(noiseHeight, exponent);
       noiseHeight *= heightScale * (profileScale / 100);
       
@@ -341,4 +322,105 @@ export function launchTerrainComparison() {
     script.src = '/src/main.js';
     document.body.appendChild(script);
   });
-}
\ No newline at end of file
+}
+
+// The four sides of a chunk: offset to the neighbour, and grid index of the i-th edge vertex of
+// a chunk of the given resolution on that side (`own`) and on the neighbour's facing side (`other`)
+const SEAM_SIDES = [
+  { dx: 1, dz: 0, own: (i, res) => i * res + res - 1, other: (i, res) => i * res },
+  { dx: -1, dz: 0, own: (i, res) => i * res, other: (i, res) => i * res + res - 1 },
+  { dx: 0, dz: 1, own: (i, res) => (res - 1) * res + i, other: (i, res) => i },
+  { dx: 0, dz: -1, own: (i, res) => i, other: (i, res) => (res - 1) * res + i }
+];
+
+// Check that a chunk and its four neighbours agree along their shared edges.
+// Generates the chunks with the given generator and compares border heights, normals, and
+// colors and surface layers; a color mismatch shows as a visible line along the seam.
+export function checkChunkSeams(generator, centerX = 0, centerZ = 0, resolution = generator.microResolution, tolerance = 1e-4) {
+  const chunks = new Map();
+  const getChunk = (chunkX, chunkZ) => {
+    const key = `${chunkX},${chunkZ}`;
+    if (!chunks.has(key)) {
+      chunks.set(key, generator.generateChunkData(chunkX, chunkZ, resolution));
+    }
+    return chunks.get(key);
+  };
+  
+  const center = getChunk(centerX, centerZ);
+  const results = [];
+  
+  for (const side of SEAM_SIDES) {
+    const neighbour = getChunk(centerX + side.dx, centerZ + side.dz);
+    let maxHeightError = 0;
+    let maxNormalError = 0;
+    let maxColorError = 0;
+    
+    for (let i = 0; i < resolution; i++) {
+      const a = side.own(i, resolution);
+      const b = side.other(i, resolution);
+      
+      maxHeightError = Math.max(maxHeightError, Math.abs(center.heightMap[a] - neighbour.heightMap[b]));
+      for (let c = 0; c < 3; c++) {
+        maxNormalError = Math.max(maxNormalError, Math.abs(center.normals[a * 3 + c] - neighbour.normals[b * 3 + c]));
+        maxColorError = Math.max(maxColorError, Math.abs(center.colors[a * 3 + c] - neighbour.colors[b * 3 + c]));
+      }
+      for (let c = 0; c < 4; c++) {
+        maxColorError = Math.max(maxColorError, Math.abs(center.layers[a * 4 + c] - neighbour.layers[b * 4 + c]));
+      }
+    }
+    
+    results.push({
+      neighbour: `${centerX + side.dx},${centerZ + side.dz}`,
+      maxHeightError,
+      maxNormalError,
+      maxColorError,
+      passed: maxHeightError <= tolerance && maxNormalError <= tolerance && maxColorError <= tolerance
+    });
+  }
+  
+  return {
+    passed: results.every(result => result.passed),
+    results
+  };
+}
+
+// Check a chunk against its four neighbours generated at another level of detail, as where two
+// LOD rings meet. Their edges don't share vertices, and smoothing reaches further in metres at
+// a coarser level, so the edges (straight between their vertices) may part, but by no more than
+// the skirts hang down to hide.
+export function checkLodSeams(generator, centerX = 0, centerZ = 0, resolution = generator.microResolution, neighbourResolution = resolution / 2) {
+  const center = generator.generateChunkData(centerX, centerZ, resolution);
+  const results = [];
+  
+  // Height along an edge at a fraction (0-1) of its length
+  const heightAlong = (edge, t) => {
+    const x = t * (edge.length - 1);
+    const i = Math.min(Math.floor(x), edge.length - 2);
+    return edge[i] + (edge[i + 1] - edge[i]) * (x - i);
+  };
+  
+  for (const side of SEAM_SIDES) {
+    const neighbour = generator.generateChunkData(centerX + side.dx, centerZ + side.dz, neighbourResolution);
+    const own = Array.from({ length: resolution }, (_, i) => center.heightMap[side.own(i, resolution)]);
+    const other = Array.from({ length: neighbourResolution }, (_, i) => neighbour.heightMap[side.other(i, neighbourResolution)]);
+    
+    let maxGap = 0;
+    for (const edge of [own, other]) {
+      for (let i = 0; i < edge.length; i++) {
+        const t = i / (edge.length - 1);
+        maxGap = Math.max(maxGap, Math.abs(heightAlong(own, t) - heightAlong(other, t)));
+      }
+    }
+    
+    results.push({
+      neighbour: `${centerX + side.dx},${centerZ + side.dz}`,
+      maxGap,
+      passed: maxGap <= generator.skirtDepth
+    });
+  }
+  
+  return {
+    passed: results.every(result => result.passed),
+    results
+  };
+}
@@ -0,0 +1,94 @@
+// src/terrain/vegetation.js
+// Low-poly plant meshes, instanced over each chunk where its biomes grow them
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { VEGETATION_KINDS } from './biomes.js';
+
+// Give every vertex of a geometry one color, so all plants can share a material
+function paint(geometry, color) {
+  const part = geometry.index ? geometry.toNonIndexed() : geometry;
+  const { r, g, b } = new THREE.Color(color);
+  const colors = new Float32Array(part.attributes.position.count * 3);
+  
+  for (let i = 0; i < colors.length; i += 3) {
+    colors[i] = r;
+    colors[i + 1] = g;
+    colors[i + 2] = b;
+  }
+  
+  part.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  return part;
+}
+
+// Geometry of each kind of plant at scale 1, standing on the origin
+const PLANT_BUILDERS = {
+  conifer: () => mergeGeometries([
+    paint(new THREE.CylinderGeometry(0.25, 0.35, 2, 5).translate(0, 1, 0), 0x5a4030),
+    paint(new THREE.ConeGeometry(2, 7, 7).translate(0, 5.5, 0), 0x2f5a2e)
+  ]),
+  broadleaf: () => mergeGeometries([
+    paint(new THREE.CylinderGeometry(0.3, 0.45, 3.5, 5).translate(0, 1.75, 0), 0x5e4632),
+    paint(new THREE.IcosahedronGeometry(2.6, 0).translate(0, 5.2, 0), 0x3f7a34)
+  ]),
+  shrub: () => paint(new THREE.IcosahedronGeometry(1, 0).scale(1.2, 0.8, 1.2).translate(0, 0.6, 0), 0x4d6b34),
+  dryShrub: () => paint(new THREE.IcosahedronGeometry(0.8, 0).scale(1.2, 0.7, 1.2).translate(0, 0.45, 0), 0x8a7d4c),
+  reeds: () => mergeGeometries([
+    paint(new THREE.ConeGeometry(0.12, 2.2, 3).translate(0, 1.1, 0), 0x6f8a3c),
+    paint(new THREE.ConeGeometry(0.12, 1.8, 3).translate(0.35, 0.9, 0.2), 0x7d9444),
+    paint(new THREE.ConeGeometry(0.12, 2, 3).translate(-0.3, 1, -0.25), 0x667f36)
+  ])
+};
+
+// Build the geometry of every vegetation kind, in the order of VEGETATION_KINDS
+export function createVegetationGeometries() {
+  return VEGETATION_KINDS.map(kind => PLANT_BUILDERS[kind]());
+}
+
+// Material shared by all plants; their colors are in the geometry
+export function createVegetationMaterial() {
+  return new THREE.MeshStandardMaterial({
+    vertexColors: true,
+    flatShading: true,
+    metalness: 0.0,
+    roughness: 0.9
+  });
+}
+
+// Create one instanced mesh per kind of plant growing in a chunk. Vegetation data holds the kind
+// of each plant and its transform as [x, y, z, scale, rotation] relative to the chunk.
+export function createVegetationMeshes({ kinds, transforms }, geometries, material) {
+  const counts = new Array(geometries.length).fill(0);
+  kinds.forEach(kind => counts[kind]++);
+  
+  const meshes = counts.map((count, kind) => {
+    if (count === 0) return null;
+    
+    const mesh = new THREE.InstancedMesh(geometries[kind], material, count);
+    mesh.count = 0;
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    return mesh;
+  });
+  
+  const matrix = new THREE.Matrix4();
+  const position = new THREE.Vector3();
+  const rotation = new THREE.Quaternion();
+  const scale = new THREE.Vector3();
+  const up = new THREE.Vector3(0, 1, 0);
+  
+  for (let p = 0; p < kinds.length; p++) {
+    const t = p * 5;
+    position.set(transforms[t], transforms[t + 1], transforms[t + 2]);
+    rotation.setFromAxisAngle(up, transforms[t + 4]);
+    scale.setScalar(transforms[t + 3]);
+    
+    const mesh = meshes[kinds[p]];
+    mesh.setMatrixAt(mesh.count++, matrix.compose(position, rotation, scale));
+  }
+  
+  return meshes.filter(mesh => mesh !== null).map(mesh => {
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.computeBoundingSphere();
+    return mesh;
+  });
+}
@@ -0,0 +1,122 @@
+// src/terrain/water-material.js
+// Animated water shader: moving wave normals, fresnel reflection of the sky gradient,
+// depth-tinted color, shoreline foam and scene fog
+import * as THREE from 'three';
+import { SKY_GRADIENT, SUN_POSITION } from '../scene.js';
+
+const vertexShader = `
+  attribute float depth;
+  
+  varying float vDepth;
+  varying vec3 vWorldPosition;
+  
+  #include <fog_pars_vertex>
+  
+  void main() {
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vWorldPosition = worldPosition.xyz;
+    vDepth = depth;
+    
+    vec4 mvPosition = viewMatrix * worldPosition;
+    gl_Position = projectionMatrix * mvPosition;
+    
+    #include <fog_vertex>
+  }
+`;
+
+const fragmentShader = `
+  uniform float time;
+  uniform vec3 sunDirection;
+  uniform vec3 skyTopColor;
+  uniform vec3 skyBottomColor;
+  uniform float skyOffset;
+  uniform float skyExponent;
+  uniform vec3 shallowColor;
+  uniform vec3 deepColor;
+  uniform vec3 foamColor;
+  uniform float foamDepth;
+  
+  varying float vDepth;
+  varying vec3 vWorldPosition;
+  
+  #include <fog_pars_fragment>
+  
+  // Slope of one travelling wave along its direction
+  vec2 waveSlope(vec2 position, vec2 direction, float wavelength, float amplitude, float speed) {
+    float frequency = 6.2831853 / wavelength;
+    float phase = dot(position, direction) * frequency + time * speed;
+    return direction * (cos(phase) * amplitude * frequency);
+  }
+  
+  // Surface normal from a few waves moving in different directions
+  vec3 waveNormal(vec2 position) {
+    vec2 slope = waveSlope(position, normalize(vec2(1.0, 0.3)), 9.0, 0.05, 1.3);
+    slope += waveSlope(position, normalize(vec2(-0.4, 1.0)), 5.0, 0.03, 1.7);
+    slope += waveSlope(position, normalize(vec2(0.7, -0.8)), 2.3, 0.012, 2.4);
+    slope += waveSlope(position, normalize(vec2(-1.0, -0.2)), 1.1, 0.005, 3.1);
+    return normalize(vec3(-slope.x, 1.0, -slope.y));
+  }
+  
+  // The gradient drawn on the sky dome, seen in a direction
+  vec3 skyColor(vec3 direction) {
+    float h = normalize(direction * 4000.0 + skyOffset).y;
+    return mix(skyBottomColor, skyTopColor, pow(max(h, 0.0), skyExponent));
+  }
+  
+  void main() {
+    vec3 normal = waveNormal(vWorldPosition.xz);
+    vec3 viewDirection = normalize(cameraPosition - vWorldPosition);
+    
+    // Schlick's approximation: water mostly reflects at grazing angles
+    float fresnel = 0.02 + 0.98 * pow(1.0 - max(dot(normal, viewDirection), 0.0), 5.0);
+    vec3 reflected = reflect(-viewDirection, normal);
+    reflected.y = abs(reflected.y);
+    
+    float depthFactor = clamp(vDepth / 4.0, 0.0, 1.0);
+    vec3 color = mix(shallowColor, deepColor, depthFactor);
+    color = mix(color, skyColor(reflected), fresnel);
+    
+    // Sun glints
+    color += vec3(1.0, 0.95, 0.8) * pow(max(dot(reflected, sunDirection), 0.0), 200.0);
+    
+    // Foam in the shallows along the shore, broken up as the waves move
+    float ripple = 0.6 + 0.4 * sin(time * 1.5 + dot(vWorldPosition.xz, vec2(0.35, 0.2)) + normal.x * 20.0);
+    float foam = (1.0 - smoothstep(0.0, foamDepth, vDepth)) * ripple;
+    color = mix(color, foamColor, foam);
+    
+    // Deeper water is more opaque, so the lakebed fades out
+    float alpha = max(mix(0.45, 0.9, depthFactor), max(fresnel, foam));
+    gl_FragColor = vec4(color, alpha);
+    
+    #include <fog_fragment>
+  }
+`;
+
+// Create the material shared by all water surfaces. Geometry needs a `depth` attribute
+// holding the water depth at each vertex.
+export function createWaterMaterial() {
+  const uniforms = THREE.UniformsUtils.merge([
+    THREE.UniformsLib.fog,
+    {
+      time: { value: 0 },
+      sunDirection: { value: new THREE.Vector3().copy(SUN_POSITION).normalize() },
+      skyTopColor: { value: new THREE.Color(SKY_GRADIENT.topColor) },
+      skyBottomColor: { value: new THREE.Color(SKY_GRADIENT.bottomColor) },
+      skyOffset: { value: SKY_GRADIENT.offset },
+      skyExponent: { value: SKY_GRADIENT.exponent },
+      shallowColor: { value: new THREE.Color(0x3a9fb0) },
+      deepColor: { value: new THREE.Color(0x0b3d66) },
+      foamColor: { value: new THREE.Color(0xf2f6f8) },
+      foamDepth: { value: 0.6 }          // Water shallower than this foams
+    }
+  ]);
+  
+  return new THREE.ShaderMaterial({
+    uniforms,
+    vertexShader,
+    fragmentShader,
+    transparent: true,
+    depthWrite: false,
+    fog: true
+  });
+}
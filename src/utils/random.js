@@ -0,0 +1,69 @@
+// Seeded random number utilities for reproducible terrain generation
+
+/**
+ * Create a deterministic pseudo-random generator (mulberry32) returning values in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Mix a 32-bit value into a running hash
+ */
+function mixHash(hash, value) {
+  hash = Math.imul(hash ^ value, 0x85EBCA6B);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xC2B2AE35);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+/**
+ * Derive a new 32-bit seed from a base seed and any number of integer or string parts
+ */
+export function deriveSeed(seed, ...parts) {
+  let hash = seed >>> 0;
+  
+  for (const part of parts) {
+    if (typeof part === 'string') {
+      for (let i = 0; i < part.length; i++) {
+        hash = mixHash(hash, part.charCodeAt(i));
+      }
+    } else {
+      hash = mixHash(hash, part | 0);
+    }
+  }
+  
+  return hash;
+}
+
+/**
+ * Convert user input (number or text) into a 32-bit unsigned seed
+ */
+export function normalizeSeed(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return Math.floor(Math.abs(value)) >>> 0;
+  }
+  
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) >>> 0;
+  }
+  
+  // Non-numeric seeds are hashed so words can be shared as seeds too
+  return deriveSeed(0, text);
+}
+
+/**
+ * Pick a new random seed that is short enough to share by hand
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 1000000);
+}
@@ -1,7 +1,8 @@
 import * as THREE from 'three';
+import { createSeededRandom, deriveSeed } from './utils/random.js';
 
 export class WaypointSystem {
-  constructor(scene, terrain) {
+  constructor(scene, terrain, seed = 0) {
     this.scene = scene;
     this.terrain = terrain;
     this.waypoints = [];
@@ -11,6 +12,9 @@ export class WaypointSystem {
     this.completed = false;
     this.playerStartPosition = new THREE.Vector3(0, 0, 0);
     
+    // Waypoint placement is driven by the world seed
+    this.setSeed(seed);
+    
     // Audio setup happens on first user interaction
     this.waypointSound = null;
     this.gainNode = null;
@@ -37,6 +41,12 @@ export class WaypointSystem {
     }
   }
   
+  // Set the world seed used for waypoint placement
+  setSeed(seed) {
+    this.seed = seed;
+    this.random = createSeededRandom(seed);
+  }
+  
   generateWaypoints(count = 8, playerPosition = null) {
     // Clear existing waypoints
     this.clearWaypoints();
@@ -44,6 +54,11 @@ export class WaypointSystem {
     // Store player position as reference
     if (playerPosition) {
       this.playerStartPosition.copy(playerPosition);
+      
+      // Routes from the same spot in the same world are always identical
+      this.random = createSeededRandom(deriveSeed(
+        this.seed, Math.round(playerPosition.x), Math.round(playerPosition.z)
+      ));
     }
     
     // Generate waypoints using nearby chunks
@@ -62,12 +77,12 @@ export class WaypointSystem {
     const startZ = this.playerStartPosition.z;
     
     // Create waypoints in a roughly circular path
-    const radius = 100 + Math.random() * 150; // Random radius between 100-250 units
+    const radius = 100 + this.random() * 150; // Random radius between 100-250 units
     const points = [];
     
     // Add first waypoint closer to player
-    const firstWaypointDistance = 30 + Math.random() * 30;
-    const randomAngle = Math.random() * Math.PI * 2;
+    const firstWaypointDistance = 30 + this.random() * 30;
+    const randomAngle = this.random() * Math.PI * 2;
     
     const firstPoint = new THREE.Vector3(
       startX + Math.cos(randomAngle) * firstWaypointDistance,
@@ -85,11 +100,11 @@ export class WaypointSystem {
     // Create remaining waypoints in a roughly circular pattern
     for (let i = 1; i < count; i++) {
       const angle = (i / count) * Math.PI * 2 + randomAngle;
-      const jitter = (Math.random() - 0.5) * 0.2; // Random variation
+      const jitter = (this.random() - 0.5) * 0.2; // Random variation
       const actualAngle = angle + jitter;
       
       // Calculate distance from center with some variation
-      const distance = radius * (0.8 + Math.random() * 0.4);
+      const distance = radius * (0.8 + this.random() * 0.4);
       
       const point = new THREE.Vector3(
         startX + Math.cos(actualAngle) * distance,
@@ -133,6 +148,32 @@ export class WaypointSystem {
     return this.waypoints;
   }
   
+  // Restore a known route (e.g. from a shared link), resuming at the given waypoint
+  setRoute(route, currentIndex = 0) {
+    this.clearWaypoints();
+    
+    const points = [];
+    for (const { x, z } of route) {
+      const terrainHeight = this.terrain.getHeightAt(x, z);
+      if (terrainHeight !== null && !isNaN(terrainHeight)) {
+        points.push(new THREE.Vector3(x, terrainHeight + 2, z));
+      }
+    }
+    
+    this.waypoints = points;
+    this.waypointMarkers = this.createWaypointMarkers(points);
+    this.pathLine = this.createWaypointPath(points);
+    this.currentWaypointIndex = Math.max(0, Math.min(points.length - 1, currentIndex));
+    this.completed = false;
+    
+    // Mark waypoints before the current one as visited
+    for (let i = 0; i < this.currentWaypointIndex; i++) {
+      this.waypointMarkers[i].material.color.set(0x00ffff);
+    }
+    
+    return this.waypoints;
+  }
+  
   update(playerPosition, threshold = 10) {
     if (this.completed || this.waypoints.length === 0) return;
     
@@ -266,6 +307,12 @@ export class WaypointSystem {
     return this.waypoints[this.currentWaypointIndex];
   }
   
+  // Get the active route as x,z pairs, or null when there is none
+  getRoute() {
+    if (this.waypoints.length === 0 || this.completed) return null;
+    return this.waypoints.map(point => ({ x: point.x, z: point.z }));
+  }
+  
   getProgress() {
     if (this.waypoints.length === 0) return 0;
     return this.currentWaypointIndex / this.waypoints.length;